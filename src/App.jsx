@@ -1,57 +1,155 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import CharacterForm from "./components/CharacterForm";
 import CharacterCard from "./components/CharacterCard";
+import PartyTransfer from "./components/PartyTransfer";
+import TrashBin from "./components/TrashBin";
+import DiceRoller from "./components/DiceRoller";
+import {
+  loadCharacters,
+  saveCharacters,
+  normalizeCharacter,
+  TRASH_KEY,
+} from "./utils/characterStorage";
+import { mergeParty } from "./utils/characterFiles";
+import { useCharacterHistory } from "./hooks/useCharacterHistory";
+import { rollDice } from "./utils/dice";
+
+// Most recent rolls kept in the session roll log
+const ROLL_LOG_LIMIT = 50;
 
 export default function App() {
   // ────────────────────────────────
   // Load characters from localStorage
   // ────────────────────────────────
-  const [characters, setCharacters] = useState(() => {
-    const saved = localStorage.getItem("characters");
-    const initialChars = saved ? JSON.parse(saved) : [];
-
-    // Data migration: remove 'head' and 'trinket' fields from existing characters
-    return initialChars.map((char) => {
-      if (char.equipment) {
-        delete char.equipment.head;
-        delete char.equipment.trinket;
-      }
-      return char;
-    });
-  });
+  const [characters, setCharacters] = useState(() => loadCharacters());
 
-  // Track which tab is active ("create" or a character name)
+  // Deleted characters, kept until restored or purged from the Trash tab
+  const [trash, setTrash] = useState(() => loadCharacters(TRASH_KEY));
+
+  // Track which tab is active ("create", "trash" or a character id)
   const [activeTab, setActiveTab] = useState("create");
 
+  // Undo/redo stacks for character edits (kept per character id)
+  const history = useCharacterHistory();
+
+  // This session's dice rolls, newest first (not saved)
+  const [rollLog, setRollLog] = useState([]);
+  const nextRollId = useRef(0);
+
   // ────────────────────────────────
   // Save to localStorage whenever characters change
   // ────────────────────────────────
   useEffect(() => {
-    localStorage.setItem("characters", JSON.stringify(characters));
+    saveCharacters(characters);
   }, [characters]);
 
+  useEffect(() => {
+    saveCharacters(trash, TRASH_KEY);
+  }, [trash]);
+
   // ────────────────────────────────
   // Add, Delete, Update Characters
   // ────────────────────────────────
   const addCharacter = (char) => {
-    setCharacters([...characters, char]);
-    setActiveTab(char.name); // switch to new tab
+    setCharacters([...characters, normalizeCharacter(char)]);
+    setActiveTab(char.id); // switch to new tab
   };
 
-  const deleteCharacter = (name) => {
-    const updated = characters.filter((c) => c.name !== name);
-    setCharacters(updated);
-    if (activeTab === name) setActiveTab("create");
+  // Add a character from another table, renaming it if the name is taken
+  const importCharacter = (char) => {
+    const { characters: merged } = mergeParty(characters, [char]);
+    setCharacters(merged);
+    setActiveTab(merged[merged.length - 1].id);
   };
 
+  // Soft delete: move the character into the trash
+  const deleteCharacter = (id) => {
+    const deleted = characters.find((c) => c.id === id);
+    if (!deleted) return;
+    setCharacters(characters.filter((c) => c.id !== id));
+    setTrash([...trash, { ...deleted, deletedAt: new Date().toISOString() }]);
+    if (activeTab === id) setActiveTab("create");
+  };
+
+  // Bring a character back from the trash, renaming it if the name was reused
+  const restoreCharacter = (id) => {
+    const trashed = trash.find((c) => c.id === id);
+    if (!trashed) return;
+    const restored = { ...trashed };
+    delete restored.deletedAt;
+    // The id changes too if a live character has taken it (e.g. from an import)
+    const { characters: merged } = mergeParty(characters, [restored]);
+    setCharacters(merged);
+    setTrash(trash.filter((c) => c.id !== id));
+    setActiveTab(merged[merged.length - 1].id);
+  };
+
+  const purgeCharacter = (id) => setTrash(trash.filter((c) => c.id !== id));
+
   // ✅ This ensures updates only affect the correct character
-  const updateCharacter = (name, updatedData) => {
-    setCharacters((prev) =>
-      prev.map((c) => (c.name === name ? { ...c, ...updatedData } : c))
-    );
+  const updateCharacter = (id, updatedData) => {
+    const current = characters.find((c) => c.id === id);
+    if (!current) return;
+    const next = { ...current, ...updatedData };
+
+    // Skip no-op syncs so they don't pollute the undo history
+    if (JSON.stringify(next) === JSON.stringify(current)) return;
+
+    // AC is recalculated by the card from equipment, so a change to it
+    // alone isn't an edit worth its own undo step
+    const withoutAC = (c) => JSON.stringify({ ...c, stats: { ...c.stats, ac: undefined } });
+    if (withoutAC(next) !== withoutAC(current)) history.record(id, current);
+
+    setCharacters((prev) => prev.map((c) => (c.id === id ? next : c)));
   };
 
-  const activeCharacter = characters.find((c) => c.name === activeTab);
+  // Swap a character for a snapshot from its undo/redo history
+  const restoreSnapshot = (id, step) => {
+    const current = characters.find((c) => c.id === id);
+    if (!current) return;
+    const snapshot = step(id, current);
+    if (snapshot) {
+      setCharacters((prev) => prev.map((c) => (c.id === id ? snapshot : c)));
+    }
+  };
+  const undo = () => restoreSnapshot(activeTab, history.undo);
+  const redo = () => restoreSnapshot(activeTab, history.redo);
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) on a character tab.
+  // Text fields keep their native undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || activeTab === "create" || activeTab === "trash") return;
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
+  // Import a party file — "merge" keeps the current tabs, "replace" discards them
+  const importParty = (imported, mode) => {
+    setCharacters(imported);
+    if (mode === "replace") setActiveTab("create");
+  };
+
+  // Roll notation, add it to the log and return the result; throws on invalid notation
+  const roll = (notation, label = "") => {
+    const result = rollDice(notation);
+    const entry = { ...result, label, id: nextRollId.current++ };
+    setRollLog((prev) => [entry, ...prev].slice(0, ROLL_LOG_LIMIT));
+    return entry;
+  };
+
+  const activeCharacter = characters.find((c) => c.id === activeTab);
 
   // ────────────────────────────────
   // Render
@@ -78,6 +176,9 @@ export default function App() {
           D&D Party Tracker
         </h1>
 
+        {/* ────────────── Party Backup ────────────── */}
+        <PartyTransfer characters={characters} onImport={importParty} />
+
         {/* ────────────── Tab Buttons ────────────── */}
         <div className="flex flex-wrap justify-center gap-2 mb-6">
           {/* Character Creation tab */}
@@ -96,11 +197,11 @@ export default function App() {
           {/* One tab per character */}
           {characters.map((c) => (
             <button
-              key={c.name}
-              onClick={() => setActiveTab(c.name)}
+              key={c.id}
+              onClick={() => setActiveTab(c.id)}
               className={`px-5 py-2 font-semibold border-2 border-black rounded-t-lg transition
                 ${
-                  activeTab === c.name
+                  activeTab === c.id
                     ? "bg-yellow-300 text-black shadow-inner border-b-[#d4b670]"
                     : "bg-[#fff0cc] text-gray-700 hover:bg-yellow-200"
                 }`}
@@ -108,19 +209,64 @@ export default function App() {
               {c.name}
             </button>
           ))}
+
+          {/* Trash tab */}
+          <button
+            onClick={() => setActiveTab("trash")}
+            className={`px-5 py-2 font-semibold border-2 border-black rounded-t-lg transition
+              ${
+                activeTab === "trash"
+                  ? "bg-yellow-300 text-black shadow-inner border-b-[#d4b670]"
+                  : "bg-[#fff0cc] text-gray-700 hover:bg-yellow-200"
+              }`}
+          >
+            🗑 Trash{trash.length > 0 && ` (${trash.length})`}
+          </button>
         </div>
 
         {/* ────────────── Tab Content ────────────── */}
         <div className="bg-[#fff0cc] border-2 border-black rounded-b-lg p-6 shadow-inner">
           {activeTab === "create" ? (
-            <CharacterForm addCharacter={addCharacter} />
-          ) : activeCharacter ? (
-            <CharacterCard
-              key={activeCharacter.name}
-              character={activeCharacter}
-              onDelete={() => deleteCharacter(activeCharacter.name)}
-              onUpdate={updateCharacter} // 👈 Pass update callback here
+            <CharacterForm
+              addCharacter={addCharacter}
+              importCharacter={importCharacter}
+            />
+          ) : activeTab === "trash" ? (
+            <TrashBin
+              trash={trash}
+              onRestore={restoreCharacter}
+              onPurge={purgeCharacter}
+              onEmpty={() => setTrash([])}
             />
+          ) : activeCharacter ? (
+            <>
+              {/* Undo / Redo toolbar */}
+              <div className="flex justify-end gap-2 mb-2">
+                <button
+                  onClick={undo}
+                  disabled={!history.canUndo(activeCharacter.id)}
+                  title="Undo (Ctrl+Z)"
+                  className="bg-[#fff9e6] text-black px-3 py-0.5 text-sm rounded hover:bg-yellow-200 disabled:opacity-40"
+                >
+                  ↶ Undo
+                </button>
+                <button
+                  onClick={redo}
+                  disabled={!history.canRedo(activeCharacter.id)}
+                  title="Redo (Ctrl+Shift+Z)"
+                  className="bg-[#fff9e6] text-black px-3 py-0.5 text-sm rounded hover:bg-yellow-200 disabled:opacity-40"
+                >
+                  ↷ Redo
+                </button>
+              </div>
+              <CharacterCard
+                key={`${activeCharacter.id}-${history.revision(activeCharacter.id)}`}
+                character={activeCharacter}
+                onDelete={() => deleteCharacter(activeCharacter.id)}
+                onUpdate={updateCharacter} // 👈 Pass update callback here
+                onRoll={roll}
+              />
+            </>
           ) : (
             <p className="text-center text-gray-500 italic">
               Select a character tab to view details.
@@ -128,6 +274,9 @@ export default function App() {
           )}
         </div>
 
+        {/* ────────────── Dice Roller ────────────── */}
+        <DiceRoller log={rollLog} onRoll={roll} onClear={() => setRollLog([])} />
+
         {/* ────────────── Footer ────────────── */}
         <footer className="text-center mt-10 text-sm text-gray-800 font-[Vollkorn]">
           &copy; 2025 Old Gaffer’s Advice and Hobbit Code Keepers —{" "}
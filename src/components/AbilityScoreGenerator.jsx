@@ -0,0 +1,184 @@
+import { useState } from "react";
+import {
+  ABILITIES,
+  ABILITY_ABBR,
+  STANDARD_ARRAY,
+  getModifier,
+  formatModifier,
+} from "../utils/dndRules";
+import { roll4d6DropLowest } from "../utils/dice";
+
+// 27-point buy: cost of each score from 8 to 15
+const POINT_BUY_COST = { 8: 0, 9: 1, 10: 2, 11: 3, 12: 4, 13: 5, 14: 7, 15: 9 };
+const POINT_BUY_BUDGET = 27;
+
+const METHODS = [
+  { key: "standard", label: "Standard Array" },
+  { key: "pointBuy", label: "Point Buy" },
+  { key: "roll", label: "Roll 4d6 (drop lowest)" },
+];
+
+// Ability → index into the value pool, in sheet order to start with
+const inOrder = () => Object.fromEntries(ABILITIES.map((a, i) => [a, i]));
+const fromPool = (pool, assignment) =>
+  Object.fromEntries(ABILITIES.map((a) => [a, pool[assignment[a]]]));
+const allEights = () => Object.fromEntries(ABILITIES.map((a) => [a, 8]));
+
+const pointBuySpent = (scores) =>
+  ABILITIES.reduce((sum, a) => sum + (POINT_BUY_COST[scores[a]] ?? 0), 0);
+
+// ─────────────────────────────────────────────
+// Ability score generation for Character Creation
+// ─────────────────────────────────────────────
+export default function AbilityScoreGenerator({ onChange }) {
+  const [method, setMethod] = useState("standard");
+  const [assignment, setAssignment] = useState(inOrder);
+  const [pointBuy, setPointBuy] = useState(allEights);
+  const [rollLog, setRollLog] = useState([]); // [{ rolls, dropped, total }]
+
+  const pool = method === "roll" ? rollLog.map((r) => r.total) : STANDARD_ARRAY;
+  const spent = pointBuySpent(pointBuy);
+
+  const emit = (nextMethod, nextAssignment, nextPointBuy, nextLog) => {
+    if (nextMethod === "pointBuy") return onChange(nextPointBuy);
+    const nextPool = nextMethod === "roll" ? nextLog.map((r) => r.total) : STANDARD_ARRAY;
+    onChange(nextPool.length === ABILITIES.length ? fromPool(nextPool, nextAssignment) : null);
+  };
+
+  const chooseMethod = (key) => {
+    setMethod(key);
+    emit(key, assignment, pointBuy, rollLog);
+  };
+
+  // Picking a value another ability already holds swaps the two
+  const assign = (ability, poolIndex) => {
+    const holder = ABILITIES.find((a) => assignment[a] === poolIndex);
+    const next = { ...assignment, [ability]: poolIndex, [holder]: assignment[ability] };
+    setAssignment(next);
+    emit(method, next, pointBuy, rollLog);
+  };
+
+  const adjustPointBuy = (ability, delta) => {
+    const value = pointBuy[ability] + delta;
+    if (value < 8 || value > 15) return;
+    const next = { ...pointBuy, [ability]: value };
+    if (pointBuySpent(next) > POINT_BUY_BUDGET) return;
+    setPointBuy(next);
+    emit(method, assignment, next, rollLog);
+  };
+
+  const rollScores = () => {
+    const log = ABILITIES.map(() => roll4d6DropLowest());
+    const next = inOrder();
+    setRollLog(log);
+    setAssignment(next);
+    emit(method, next, pointBuy, log);
+  };
+
+  const scores =
+    method === "pointBuy"
+      ? pointBuy
+      : pool.length === ABILITIES.length
+        ? fromPool(pool, assignment)
+        : null;
+
+  return (
+    <div className="md:col-span-2 border border-gray-600 rounded-md p-3 bg-[#fff9e6]">
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <span className="font-bold">Ability Scores:</span>
+        {METHODS.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-1 text-sm">
+            <input
+              type="radio"
+              name="abilityMethod"
+              checked={method === key}
+              onChange={() => chooseMethod(key)}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {method === "pointBuy" && (
+        <p className={`text-sm mb-2 ${spent === POINT_BUY_BUDGET ? "text-green-800" : "text-gray-800"}`}>
+          Points spent: <strong>{spent}</strong> / {POINT_BUY_BUDGET} ({POINT_BUY_BUDGET - spent} remaining)
+        </p>
+      )}
+
+      {method === "roll" && (
+        <div className="mb-2">
+          <button
+            type="button"
+            onClick={rollScores}
+            className="bg-[#2d7a2d] text-white px-3 py-1 rounded hover:bg-green-800 text-sm"
+          >
+            {rollLog.length ? "Reroll All" : "Roll Abilities"}
+          </button>
+          {rollLog.length > 0 && (
+            <ul className="mt-2 text-xs font-mono space-y-0.5">
+              {rollLog.map(({ rolls, dropped, total }, i) => (
+                <li key={i}>
+                  Roll {i + 1}: [
+                  {rolls.map((r, j) => (
+                    <span key={j} className={j === dropped ? "line-through text-gray-500" : ""}>
+                      {r}
+                      {j < rolls.length - 1 ? ", " : ""}
+                    </span>
+                  ))}
+                  ] = <strong>{total}</strong>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {scores && (
+        <div className="grid grid-cols-3 md:grid-cols-6 gap-2">
+          {ABILITIES.map((ability) => (
+            <div
+              key={ability}
+              className="flex flex-col items-center border border-gray-400 rounded-md py-1 bg-[#f6f3c1]"
+            >
+              <span className="text-xs font-bold">{ABILITY_ABBR[ability]}</span>
+              {method === "pointBuy" ? (
+                <div className="flex items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={() => adjustPointBuy(ability, -1)}
+                    className="bg-[#b33] text-white rounded px-1 text-xs leading-none"
+                  >
+                    −
+                  </button>
+                  <span className="font-mono w-5 text-center">{pointBuy[ability]}</span>
+                  <button
+                    type="button"
+                    onClick={() => adjustPointBuy(ability, 1)}
+                    className="bg-[#2d7a2d] text-white rounded px-1 text-xs leading-none"
+                  >
+                    +
+                  </button>
+                </div>
+              ) : (
+                <select
+                  value={assignment[ability]}
+                  onChange={(e) => assign(ability, Number(e.target.value))}
+                  className="border rounded text-sm"
+                >
+                  {pool.map((val, i) => (
+                    <option key={i} value={i}>
+                      {val}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <span className="text-xs text-gray-700">
+                {formatModifier(getModifier(scores[ability]))}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import { ABILITY_ABBR, formatModifier } from "../utils/dndRules";
+import { getCheckNotation } from "../utils/dice";
+
+const rollButton =
+  "font-mono font-bold bg-[#fff9e6] border border-gray-600 rounded px-1.5 hover:bg-yellow-200";
+
+// ─────────────────────────────────────────────
+// Attacks — one line per equipped weapon; click to-hit or damage to roll
+// ─────────────────────────────────────────────
+export default function AttacksPanel({ attacks, onRoll }) {
+  return (
+    <div className="bg-[#f2b8a2] border border-gray-700 rounded-md p-2 text-sm mt-4">
+      <h3 className="font-[Cinzel] font-bold text-center border-b border-gray-700 mb-1">
+        ATTACKS
+      </h3>
+      {attacks.length === 0 ? (
+        <p className="text-xs italic text-gray-700 text-center">
+          Equip a weapon in the Main-Hand or Off-Hand slot to see its attack.
+        </p>
+      ) : (
+        <table className="w-full">
+          <thead>
+            <tr className="text-xs text-left text-gray-700">
+              <th className="font-semibold">Weapon</th>
+              <th className="font-semibold text-center">To Hit</th>
+              <th className="font-semibold">Damage</th>
+            </tr>
+          </thead>
+          <tbody>
+            {attacks.map((a) => (
+              <tr key={a.slot} className="align-top">
+                <td className="py-0.5">
+                  <span className="font-semibold">{a.name}</span>{" "}
+                  <span className="text-xs text-gray-600">
+                    ({a.slot}, {ABILITY_ABBR[a.ability]})
+                  </span>
+                  {a.notes.map((note) => (
+                    <p key={note} className="text-xs italic text-gray-700">
+                      {note}
+                    </p>
+                  ))}
+                </td>
+                <td className="py-0.5 text-center">
+                  <button
+                    onClick={() =>
+                      onRoll(getCheckNotation(a.toHit, a.disadvantage), `${a.name} attack`)
+                    }
+                    title={`Roll ${getCheckNotation(a.toHit, a.disadvantage)}`}
+                    className={rollButton}
+                  >
+                    {formatModifier(a.toHit)}
+                  </button>
+                </td>
+                <td className="py-0.5">
+                  {a.damageRoll ? (
+                    <button
+                      onClick={() => onRoll(a.damage, `${a.name} damage`)}
+                      className={rollButton}
+                    >
+                      {a.damage}
+                    </button>
+                  ) : (
+                    <span className="font-mono font-bold px-1.5">{a.damage ?? "—"}</span>
+                  )}{" "}
+                  {a.versatile && (
+                    <button
+                      onClick={() => onRoll(a.versatile, `${a.name} damage (two-handed)`)}
+                      title="Two-handed (versatile)"
+                      className={rollButton}
+                    >
+                      {a.versatile}
+                    </button>
+                  )}{" "}
+                  <span className="text-xs text-gray-700">{a.damageType}</span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef } from "react";
+import { useDnDAutocomplete } from "../hooks/useDnDAPI";
+
+// ─────────────────────────────────────────────
+// Autocomplete Input Component
+// ─────────────────────────────────────────────
+export default function AutoInput({
+  endpoint,
+  value,
+  onChange,
+  onAdd,
+  placeholder,
+  onFocus,
+  onMouseEnter,
+  localSuggestions,
+}) {
+  const [query, setQuery] = useState(value || "");
+  const { suggestions: apiSuggestions, loading } = useDnDAutocomplete(
+    endpoint,
+    query,
+    !localSuggestions // Disable API hook if local suggestions are provided
+  );
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const wrapperRef = useRef(null);
+
+  const suggestions = localSuggestions
+    ? localSuggestions
+        .filter((s) => s.name.toLowerCase().includes(query.toLowerCase()))
+        .slice(0, 20)
+    : apiSuggestions;
+
+  // Sync internal state when the external value prop changes
+  useEffect(() => {
+    setQuery(value || "");
+  }, [value]);
+
+  // Close autocomplete when clicking elsewhere
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(e.target)) {
+        setShowSuggestions(false);
+      }
+    };
+    window.addEventListener("click", handleClickOutside);
+    return () => window.removeEventListener("click", handleClickOutside);
+  }, []);
+
+  const handleSelect = (name) => {
+    setQuery(name);
+    onChange(name);
+    if (onAdd) onAdd(name);
+    setShowSuggestions(false);
+  };
+
+  return (
+    <div ref={wrapperRef} className="relative">
+      <input
+        type="text"
+        value={query}
+        placeholder={placeholder}
+        className="border border-gray-600 rounded w-full p-0.5 text-sm bg-[#fffbe6]"
+        onFocus={() => {
+          onFocus?.();
+          setShowSuggestions(true);
+        }}
+        onMouseEnter={onMouseEnter}
+        onChange={(e) => {
+          const val = e.target.value;
+          setQuery(val);
+          onChange(val);
+          if (val.trim()) setShowSuggestions(true);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && query.trim()) {
+            e.preventDefault();
+            handleSelect(query.trim());
+          }
+        }}
+        onBlur={() => setTimeout(() => setShowSuggestions(false), 200)}
+      />
+
+      {loading && showSuggestions && (
+        <div className="absolute left-0 right-0 bg-[#fff9e6] border border-gray-700 text-xs p-1 italic text-gray-600 z-20">
+          Searching...
+        </div>
+      )}
+
+      {showSuggestions && suggestions.length > 0 && (
+        <ul className="absolute left-0 right-0 bg-[#fff9e6] border border-gray-700 rounded-md shadow-lg z-30 max-h-40 overflow-y-auto text-sm">
+          {suggestions.map((s, idx) => (
+            <li
+              key={idx}
+              className="px-2 py-1 hover:bg-[#f1e3b1] cursor-pointer flex justify-between"
+              onClick={() => handleSelect(s.name)}
+            >
+              <span>{s.name}</span>
+              {s.source && (
+                <span className="text-gray-500 text-xs italic">
+                  ({s.source})
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
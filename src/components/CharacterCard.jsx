@@ -1,136 +1,109 @@
-import { useState, useEffect, useRef } from "react";
-import {
-  useEquipmentInfo,
-  getTooltipContent,
-  useDnDAutocomplete,
-} from "../hooks/useDnDAPI";
+import { useState, useEffect } from "react";
+import { useEquipmentInfo, getTooltipContent } from "../hooks/useDnDAPI";
 import { weaponShieldData } from "../data/weaponShieldData";
+import { armorData } from "../data/armorData";
 import { featDescriptions } from "../data/featDescriptions";
 import { classFeatureDescriptions } from "../data/classFeatureDescriptions";
 import { spellDescriptions } from "../data/spellDescriptions";
-
-// ─────────────────────────────────────────────
-// Autocomplete Input Component
-// ─────────────────────────────────────────────
-function AutoInput({
-  endpoint,
-  value,
-  onChange,
-  onAdd,
-  placeholder,
-  onFocus,
-  onMouseEnter,
-  localSuggestions,
-}) {
-  const [query, setQuery] = useState(value || "");
-  const { suggestions: apiSuggestions, loading } = useDnDAutocomplete(
-    endpoint,
-    query,
-    !localSuggestions // Disable API hook if local suggestions are provided
-  );
-  const [showSuggestions, setShowSuggestions] = useState(false);
-  const wrapperRef = useRef(null);
-
-  const suggestions = localSuggestions
-    ? localSuggestions
-        .filter((s) => s.name.toLowerCase().includes(query.toLowerCase()))
-        .slice(0, 20)
-    : apiSuggestions;
-
-  // Sync internal state when the external value prop changes
-  useEffect(() => {
-    setQuery(value || "");
-  }, [value]);
-
-  // Close autocomplete when clicking elsewhere
-  useEffect(() => {
-    const handleClickOutside = (e) => {
-      if (wrapperRef.current && !wrapperRef.current.contains(e.target)) {
-        setShowSuggestions(false);
-      }
-    };
-    window.addEventListener("click", handleClickOutside);
-    return () => window.removeEventListener("click", handleClickOutside);
-  }, []);
-
-  const handleSelect = (name) => {
-    setQuery(name);
-    onChange(name);
-    if (onAdd) onAdd(name);
-    setShowSuggestions(false);
-  };
-
-  return (
-    <div ref={wrapperRef} className="relative">
-      <input
-        type="text"
-        value={query}
-        placeholder={placeholder}
-        className="border border-gray-600 rounded w-full p-0.5 text-sm bg-[#fffbe6]"
-        onFocus={() => {
-          onFocus?.();
-          setShowSuggestions(true);
-        }}
-        onMouseEnter={onMouseEnter}
-        onChange={(e) => {
-          const val = e.target.value;
-          setQuery(val);
-          onChange(val);
-          if (val.trim()) setShowSuggestions(true);
-        }}
-        onKeyDown={(e) => {
-          if (e.key === "Enter" && query.trim()) {
-            e.preventDefault();
-            handleSelect(query.trim());
-          }
-        }}
-        onBlur={() => setTimeout(() => setShowSuggestions(false), 200)}
-      />
-
-      {loading && showSuggestions && (
-        <div className="absolute left-0 right-0 bg-[#fff9e6] border border-gray-700 text-xs p-1 italic text-gray-600 z-20">
-          Searching...
-        </div>
-      )}
-
-      {showSuggestions && suggestions.length > 0 && (
-        <ul className="absolute left-0 right-0 bg-[#fff9e6] border border-gray-700 rounded-md shadow-lg z-30 max-h-40 overflow-y-auto text-sm">
-          {suggestions.map((s, idx) => (
-            <li
-              key={idx}
-              className="px-2 py-1 hover:bg-[#f1e3b1] cursor-pointer flex justify-between"
-              onClick={() => handleSelect(s.name)}
-            >
-              <span>{s.name}</span>
-              {s.source && (
-                <span className="text-gray-500 text-xs italic">
-                  ({s.source})
-                </span>
-              )}
-            </li>
-          ))}
-        </ul>
-      )}
-    </div>
-  );
-}
+import { exportCharacter } from "../utils/characterFiles";
+import {
+  ABILITIES,
+  ABILITY_ABBR,
+  MAX_LEVEL,
+  clampLevel,
+  getModifier,
+  formatModifier,
+  getProficiencyBonus,
+} from "../utils/dndRules";
+import AutoInput from "./AutoInput";
+import SkillsPanel from "./SkillsPanel";
+import SavingThrowsPanel from "./SavingThrowsPanel";
+import RacePicker from "./RacePicker";
+import HitPointsPanel from "./HitPointsPanel";
+import ConcentrationPanel from "./ConcentrationPanel";
+import AttacksPanel from "./AttacksPanel";
+import ProficienciesPanel from "./ProficienciesPanel";
+import SpellSlotsPanel from "./SpellSlotsPanel";
+import SpellbookPanel from "./SpellbookPanel";
+import ClassResourcesPanel from "./ClassResourcesPanel";
+import ClassPicker, { SubclassPicker } from "./ClassPicker";
+import LevelUpPanel from "./LevelUpPanel";
+import LevelDownPanel from "./LevelDownPanel";
+import {
+  getClassData,
+  getClassSavingThrows,
+  getFeaturesAboveLevel,
+  getTotalLevel,
+  formatClassLevels,
+  subclassForClass,
+  getDefaultEquipmentProficiencies,
+  getClassResources,
+  rechargeResources,
+} from "../utils/classRules";
+import { getEquipmentProblems, isWeaponProficient, getBodyAC } from "../utils/equipmentRules";
+import { getRaceData, getRacialBonuses } from "../utils/raceRules";
+import { DEFAULT_DEATH_SAVES, clampHP } from "../utils/hpRules";
+import {
+  getSpellSlots,
+  getPactMagic,
+  getSpellcastingStats,
+  getConcentrationDC,
+} from "../utils/spellRules";
+import { getCheckNotation, getDamageDice } from "../utils/dice";
+import { getWeaponDamage, getAttacks } from "../utils/attackRules";
 
 // ─────────────────────────────────────────────
 // Main CharacterCard Component
 // ─────────────────────────────────────────────
-export default function CharacterCard({ character, onDelete, onUpdate }) {
+export default function CharacterCard({ character, onDelete, onUpdate, onRoll }) {
   const [stats, setStats] = useState({ ...character.stats });
   const [equipment, setEquipment] = useState({ ...character.equipment });
   const [ac, setAc] = useState(character.stats.ac || 10);
   const [feats, setFeats] = useState([...(character.feats || [])]);
   const [skills, setSkills] = useState([...(character.skillsSpells || [])]);
   const [inventory, setInventory] = useState([...(character.inventory || [])]);
+  const [skillProficiencies, setSkillProficiencies] = useState({
+    ...(character.skillProficiencies || {}),
+  });
+  // Racial ability choices (e.g. Half-Elf) and the bonuses currently applied to stats
+  const [raceChoices, setRaceChoices] = useState([...(character.raceChoices || [])]);
+  const [raceBonuses, setRaceBonuses] = useState({ ...(character.raceBonuses || {}) });
+  // null = class defaults; an array once the user overrides them
+  const [saveProficiencies, setSaveProficiencies] = useState(
+    character.saveProficiencies || null
+  );
+  // null = class defaults; { armor, weapons } once the user overrides them
+  const [equipmentProficiencies, setEquipmentProficiencies] = useState(
+    character.equipmentProficiencies || null
+  );
+  // [{ name, prepared }] — every entry is a known spell
+  const [spellbook, setSpellbook] = useState((character.spellbook || []).map((s) => ({ ...s })));
+  // Expended spell slots per spell level (index 0 = 1st) and expended pact slots
+  const [spellSlotsUsed, setSpellSlotsUsed] = useState([...(character.spellSlotsUsed || [])]);
+  const [pactSlotsUsed, setPactSlotsUsed] = useState(character.pactSlotsUsed || 0);
+  // Uses spent (and recharge overrides) per class resource: { [id]: { used, recharge } }
+  const [classResources, setClassResources] = useState({ ...(character.classResources || {}) });
+  // Name of the spell being concentrated on, and a pending CON save ({ damage, dc })
+  const [concentration, setConcentration] = useState(character.concentration || null);
+  const [concentrationCheck, setConcentrationCheck] = useState(null);
+  const [deathSaves, setDeathSaves] = useState({
+    ...DEFAULT_DEATH_SAVES,
+    ...(character.deathSaves || {}),
+  });
 
   const [isEditing, setIsEditing] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [levelingUp, setLevelingUp] = useState(false);
+  const [levelingDown, setLevelingDown] = useState(false);
+  // [{ class, subClass, level }] — the first entry is the primary class
+  const [classLevels, setClassLevels] = useState(
+    character.classLevels?.length
+      ? character.classLevels.map((c) => ({ ...c }))
+      : [{ class: character.class || "", subClass: character.subClass || "", level: character.stats.level || 1 }]
+  );
   const [details, setDetails] = useState({
+    name: character.name || "",
     race: character.race || "",
-    class: character.class || "",
-    subClass: character.subClass || "",
     alignment: character.alignment || "",
     deity: character.deity || "",
     specialAbility: character.specialAbility || "",
@@ -150,17 +123,32 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
   // Sync with parent
   useEffect(() => {
     const timeout = setTimeout(() => {
-      onUpdate(character.name, {
+      onUpdate(character.id, {
         stats: { ...stats, ac },
         ...details,
+        // class/subClass mirror the primary class for older code and exports
+        class: classLevels[0].class,
+        subClass: classLevels[0].subClass,
+        classLevels,
         equipment,
         feats,
         skillsSpells: skills,
         inventory,
+        skillProficiencies,
+        saveProficiencies,
+        equipmentProficiencies,
+        raceChoices,
+        raceBonuses,
+        deathSaves,
+        spellbook,
+        spellSlotsUsed,
+        pactSlotsUsed,
+        classResources,
+        concentration,
       });
     }, 300);
     return () => clearTimeout(timeout);
-  }, [stats, ac, equipment, feats, skills, inventory, details, character.name, onUpdate]);
+  }, [stats, ac, equipment, feats, skills, inventory, skillProficiencies, saveProficiencies, equipmentProficiencies, raceChoices, raceBonuses, deathSaves, spellbook, spellSlotsUsed, pactSlotsUsed, classResources, concentration, classLevels, details, character.id, onUpdate]);
 
   // ✅ Hooks for each equipment slot (moved outside of .map())
   const armorInfo = useEquipmentInfo(equipment.armor);
@@ -171,27 +159,18 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
     (name) => ({ name })
   );
 
+  const armorNamesForAutocomplete = Object.values(armorData).map(({ name }) => ({ name }));
+
   const equipmentSlots = [
-    { key: "armor", label: "Armor", info: armorInfo },
+    { key: "armor", label: "Armor", info: armorInfo, localSuggestions: armorNamesForAutocomplete },
     { key: "mainHand", label: "Main-Hand", info: mainHandInfo, localSuggestions: weaponShieldNamesForAutocomplete },
     { key: "offHand", label: "Off-Hand", info: offHandInfo, localSuggestions: weaponShieldNamesForAutocomplete },
   ];
 
   // Calculate AC
   useEffect(() => {
-    let baseAC = 10 + getModifier(stats.dexterity || 10);
-    const armorData = armorInfo.data;
-
-    // Armor
-    if (armorData?.armor_class) {
-      const acData = armorData.armor_class;
-      baseAC = acData.base || baseAC;
-      if (acData.dex_bonus) {
-        const dexMod = getModifier(stats.dexterity || 10);
-        const maxBonus = acData.max_bonus;
-        baseAC += maxBonus ? Math.min(dexMod, maxBonus) : dexMod;
-      }
-    }
+    // Armor (local SRD data first, then the API)
+    let baseAC = getBodyAC(armorInfo.data, stats.dexterity || 10);
 
     // Main-Hand and Off-Hand AC bonus
     [equipment.mainHand, equipment.offHand].forEach(hand => {
@@ -212,12 +191,67 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
     setAc(baseAC);
   }, [armorInfo.data, equipment.mainHand, equipment.offHand, stats.dexterity]);
 
-  // Stat modifiers
+  // Stat modifiers (level is kept within 1–20)
   const adjustStat = (stat, delta) =>
-    setStats((prev) => ({
-      ...prev,
-      [stat]: Math.max(0, (prev[stat] || 0) + delta),
-    }));
+    setStats((prev) => {
+      const value = (prev[stat] || 0) + delta;
+      return {
+        ...prev,
+        [stat]: stat === "level" ? clampLevel(value) : Math.max(0, value),
+      };
+    });
+
+  // Max HP can't drop below 1, and current HP never exceeds it
+  const adjustMaxHP = (delta) =>
+    setStats((prev) => {
+      const maxHP = Math.max(1, (prev.maxHP || 0) + delta);
+      return { ...prev, maxHP, currentHP: clampHP(prev.currentHP || 0, maxHP) };
+    });
+
+  const changeSpellSlots = (used, pactUsed) => {
+    setSpellSlotsUsed(used);
+    setPactSlotsUsed(pactUsed);
+  };
+
+  // Short rest: pact magic slots and short-rest resources come back
+  const shortRest = () => {
+    setPactSlotsUsed(0);
+    setClassResources((prev) => rechargeResources(prev, resources, "short"));
+  };
+
+  // Dawn: resources set to recharge at dawn come back
+  const dawn = () => setClassResources((prev) => rechargeResources(prev, resources, "dawn"));
+
+  // Long rest: full HP, every spell slot and short/long-rest resources back
+  const longRest = () => {
+    setClassResources((prev) => rechargeResources(prev, resources, "long"));
+    setStats((prev) => ({ ...prev, currentHP: prev.maxHP, tempHP: 0 }));
+    setDeathSaves(DEFAULT_DEATH_SAVES);
+    setSpellSlotsUsed([]);
+    setPactSlotsUsed(0);
+    endConcentration();
+  };
+
+  // Damage, healing, temp HP and death saves from the HP panel
+  const handleHPChange = (patch, nextDeathSaves) => {
+    setStats((prev) => ({ ...prev, ...patch }));
+    setDeathSaves(nextDeathSaves);
+  };
+
+  const endConcentration = () => {
+    setConcentration(null);
+    setConcentrationCheck(null);
+  };
+
+  // Taking damage while concentrating calls for a CON save; dropping to 0 HP ends it
+  const handleDamage = (damage, currentHP) => {
+    if (!concentration) return;
+    if (currentHP === 0) endConcentration();
+    else setConcentrationCheck({ damage, dc: getConcentrationDC(damage) });
+  };
+
+  const resolveConcentrationCheck = (passed) =>
+    passed ? setConcentrationCheck(null) : endConcentration();
 
   // Equipment handler
   const handleEquipChange = (slot, value) =>
@@ -227,6 +261,71 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
   const handleDetailChange = (e) =>
     setDetails((prev) => ({ ...prev, [e.target.name]: e.target.value }));
 
+  // Level up: one level in the chosen class (or a new one), plus the HP and
+  // class features picked in the level-up panel
+  const confirmLevelUp = ({ classIndex, className, hp, features }) => {
+    const next =
+      classIndex === null
+        ? [...classLevels, { class: className, subClass: "", level: 1 }]
+        : classLevels.map((c, i) => (i === classIndex ? { ...c, level: c.level + 1 } : c));
+    setClassLevels(next);
+    setStats((prev) => ({
+      ...prev,
+      level: clampLevel(getTotalLevel(next)),
+      maxHP: (prev.maxHP || 0) + hp,
+      currentHP: (prev.currentHP || 0) + hp,
+    }));
+    setSkills((prev) => [...prev, ...features.filter((f) => !prev.includes(f))]);
+    setLevelingUp(false);
+  };
+
+  // Level down: one level out of a class; a class at 0 levels is dropped
+  const confirmLevelDown = ({ classIndex, removedFeatures }) => {
+    const next = classLevels
+      .map((c, i) => (i === classIndex ? { ...c, level: c.level - 1 } : c))
+      .filter((c) => c.level > 0);
+    setClassLevels(next);
+    setStats((prev) => ({ ...prev, level: clampLevel(getTotalLevel(next)) }));
+    setSkills((prev) => prev.filter((s) => !removedFeatures.includes(s)));
+    setLevelingDown(false);
+  };
+
+  // Single-class characters with nothing to lose level down straight away
+  const startLevelDown = () => {
+    const only = classLevels[0];
+    const lost = getFeaturesAboveLevel(only.class, only.subClass, only.level - 1, skills);
+    if (classLevels.length === 1 && lost.length === 0) {
+      confirmLevelDown({ classIndex: 0, removedFeatures: [] });
+    } else {
+      setLevelingDown(true);
+    }
+  };
+
+  // Edit a class or subclass name in the class list; a new class drops a subclass that isn't its own
+  const handleClassLevelChange = (index, field, value) =>
+    setClassLevels((prev) =>
+      prev.map((c, i) => {
+        if (i !== index) return c;
+        if (field === "class") return { ...c, class: value, subClass: subclassForClass(value, c.subClass) };
+        return { ...c, [field]: value };
+      })
+    );
+
+  // Race change: swap the old racial ability bonuses for the new ones
+  const handleRaceChange = (race, choices) => {
+    const nextBonuses = getRacialBonuses(race, choices);
+    setStats((prev) => {
+      const next = { ...prev };
+      ABILITIES.forEach((a) => {
+        next[a] = (prev[a] || 0) - (raceBonuses[a] || 0) + (nextBonuses[a] || 0);
+      });
+      return next;
+    });
+    setRaceBonuses(nextBonuses);
+    setRaceChoices(choices);
+    setDetails((prev) => ({ ...prev, race }));
+  };
+
   const handlePictureUpload = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -277,10 +376,39 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
     fetchItems();
   }, [inventory]);
   
-  const getModifier = (val) => Math.floor((val - 10) / 2);
+  const race = getRaceData(details.race);
+  const classInfo = getClassData(classLevels[0].class);
+
+  // Armor/weapon training: penalties feed the attacks and STR/DEX rolls
+  const trained = equipmentProficiencies || getDefaultEquipmentProficiencies(classLevels);
+  const equipmentProblems = getEquipmentProblems({
+    armor: armorInfo.data,
+    hands: [mainHandInfo.data, offHandInfo.data],
+    stats,
+    proficiencies: trained,
+    ignoreStrMinimum: Boolean(race?.traits["Heavy Armor Speed"]),
+  });
+  const spellSlots = getSpellSlots(classLevels);
+  const pactMagic = getPactMagic(classLevels);
+  const spellcasting = getSpellcastingStats(classLevels, stats);
+  const resources = getClassResources(classLevels, stats);
+  const conSaveBonus =
+    getModifier(stats.constitution) +
+    ((saveProficiencies || getClassSavingThrows(classLevels[0].class)).includes("constitution")
+      ? getProficiencyBonus(stats.level)
+      : 0);
+
+  const rollDisadvantage = equipmentProblems.disadvantage ? ["strength", "dexterity"] : [];
+  const attacks = getAttacks({
+    mainHand: mainHandInfo.data,
+    offHand: offHandInfo.data,
+    stats,
+    proficient: (weapon) => isWeaponProficient(weapon, trained.weapons),
+    disadvantage: equipmentProblems.disadvantage,
+  });
 
   const allSkills = { ...spellDescriptions, ...classFeatureDescriptions };
-  const skillAndFeatureNamesForAutocomplete = Object.keys(allSkills).map(
+  const skillAndFeatureNamesForAutocomplete = Object.keys(classFeatureDescriptions).map(
     (name) => ({ name })
   );
 
@@ -298,8 +426,13 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
         {/* HEADER */}
         <div className="bg-linear-to-b from-[#c88b3a] to-[#a26a1f] border-2 border-black rounded-md text-center py-1 mb-3">
           <h2 className="text-3xl font-[Cinzel] font-bold text-black tracking-wide">
-            {character.name.toUpperCase()}
+            {(details.name || character.name).toUpperCase()}
           </h2>
+          {formatClassLevels(classLevels) && (
+            <p className="font-[Cinzel] text-sm font-semibold text-black">
+              {formatClassLevels(classLevels)}
+            </p>
+          )}
         </div>
         {/* MAIN CONTENT */}
         <div className="flex flex-col lg:flex-row gap-4">
@@ -335,9 +468,13 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
             {isEditing ? (
               <>
                 <div className="grid grid-cols-2 gap-x-4 gap-y-2 pr-16">
+                  <div className="col-span-2">
+                    <label className="font-bold">NAME:</label>
+                    <input type="text" name="name" value={details.name} onChange={handleDetailChange} className="border rounded w-full p-1 mt-1 text-sm" />
+                  </div>
                   <div>
                     <label className="font-bold">RACE:</label>
-                    <input type="text" name="race" value={details.race} onChange={handleDetailChange} className="border rounded w-full p-1 mt-1 text-sm" />
+                    <RacePicker value={details.race} choices={raceChoices} onChange={handleRaceChange} className="border rounded w-full p-1 mt-1 text-sm" />
                   </div>
                   <div>
                     <label className="font-bold">ALIGNMENT:</label>
@@ -347,14 +484,18 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
                     <label className="font-bold">DEITY:</label>
                     <input type="text" name="deity" value={details.deity} onChange={handleDetailChange} className="border rounded w-full p-1 mt-1 text-sm" />
                   </div>
-                  <div>
-                    <label className="font-bold">CLASS:</label>
-                    <input type="text" name="class" value={details.class} onChange={handleDetailChange} className="border rounded w-full p-1 mt-1 text-sm" />
-                  </div>
-                  <div>
-                    <label className="font-bold">SUBCLASS:</label>
-                    <input type="text" name="subClass" value={details.subClass} onChange={handleDetailChange} className="border rounded w-full p-1 mt-1 text-sm" />
-                  </div>
+                  {classLevels.map((c, i) => (
+                    <div key={i} className="col-span-2 grid grid-cols-2 gap-x-4">
+                      <div>
+                        <label className="font-bold">CLASS{classLevels.length > 1 && ` (Lv ${c.level})`}:</label>
+                        <ClassPicker value={c.class} onChange={(value) => handleClassLevelChange(i, "class", value)} className="border rounded w-full p-1 mt-1 text-sm" />
+                      </div>
+                      <div>
+                        <label className="font-bold">SUBCLASS:</label>
+                        <SubclassPicker key={c.class} characterClass={c.class} value={c.subClass} onChange={(value) => handleClassLevelChange(i, "subClass", value)} className="border rounded w-full p-1 mt-1 text-sm" />
+                      </div>
+                    </div>
+                  ))}
                   <div className="col-span-2">
                     <label className="font-bold">SPECIAL ABILITY:</label>
                     <input type="text" name="specialAbility" value={details.specialAbility} onChange={handleDetailChange} className="border rounded w-full p-1 mt-1 text-sm" />
@@ -380,8 +521,21 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
                     <strong>RACE:</strong> {details.race}
                   </p>
                   <p>
-                    <strong>CLASS:</strong> {details.class} {details.subClass && `(${details.subClass})`}
+                    <strong>CLASS:</strong>{" "}
+                    {classLevels
+                      .map((c) => `${c.class}${classLevels.length > 1 ? ` ${c.level}` : ""}${c.subClass ? ` (${c.subClass})` : ""}`)
+                      .join(" / ")}
                   </p>
+                  {classInfo && (
+                    <p className="text-xs text-gray-700">
+                      Hit Dice{" "}
+                      {classLevels
+                        .filter((c) => getClassData(c.class))
+                        .map((c) => `${c.level}d${getClassData(c.class).hitDie}`)
+                        .join(" + ")}{" "}
+                      · Primary {classInfo.primaryAbilities.map((a) => ABILITY_ABBR[a]).join("/")}
+                    </p>
+                  )}
                   <p>
                     <strong>ALIGNMENT:</strong> {details.alignment}
                   </p>
@@ -395,6 +549,59 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
                     <strong>FAMILIAR:</strong> {details.familiar}
                   </p>
                 </div>
+                {race && (
+                  <div className="mt-3 border-t border-gray-500 pt-2 text-sm">
+                    <p>
+                      <strong>SPEED:</strong> {race.speed - equipmentProblems.speedPenalty} ft.
+                      {equipmentProblems.speedPenalty > 0 && (
+                        <span className="text-red-800"> (armor too heavy)</span>
+                      )}{" "}
+                      · <strong>SIZE:</strong> {race.size}
+                      {race.darkvision > 0 && (
+                        <>
+                          {" "}· <strong>DARKVISION:</strong> {race.darkvision} ft.
+                        </>
+                      )}
+                    </p>
+                    <p>
+                      <strong>LANGUAGES:</strong> {race.languages.join(", ")}
+                    </p>
+                    <p className="mt-1">
+                      <strong>RACIAL TRAITS:</strong>
+                    </p>
+                    <ul className="list-disc list-inside">
+                      {Object.entries(race.traits).map(([trait, desc]) => (
+                        <li
+                          key={trait}
+                          className="relative cursor-help"
+                          onMouseEnter={(e) => {
+                            setHoveredItem(`race:${trait}`);
+                            handleMouseMove(e);
+                          }}
+                          onMouseLeave={() => setHoveredItem(null)}
+                          onMouseMove={handleMouseMove}
+                        >
+                          {trait}
+                          {hoveredItem === `race:${trait}` && (
+                            <div
+                              className="bg-[#fff9e6] border border-gray-700 rounded p-2 text-xs w-60 shadow-lg transition-opacity duration-150 ease-in-out"
+                              style={{
+                                position: "fixed",
+                                top: tooltipCoordinates.y - 150,
+                                left: tooltipCoordinates.x - 60,
+                                whiteSpace: "normal",
+                                pointerEvents: "none",
+                              }}
+                            >
+                              <strong className="block mb-1">{trait}</strong>
+                              <p>{desc}</p>
+                            </div>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
                 <div className="mt-3 border-t border-gray-500 pt-2">
                   <p>
                     <strong>BIO / BACKGROUND:</strong>
@@ -417,6 +624,33 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
               <div className="text-center font-semibold text-base mb-1">
                 AC: <span className="text-lg font-bold text-black">{ac}</span>
               </div>
+              <div className="text-center font-semibold text-sm mb-1" title="Added to proficient saves, skills and attacks">
+                Proficiency Bonus:{" "}
+                <span className="text-base font-bold text-black">
+                  {formatModifier(getProficiencyBonus(stats.level))}
+                </span>
+              </div>
+              {/* SPELLCASTING */}
+              {spellcasting.map((s) => (
+                <div
+                  key={s.className}
+                  className="text-center text-sm mb-1"
+                  title={`${s.className} spellcasting (${ABILITY_ABBR[s.ability]})`}
+                >
+                  {spellcasting.length > 1 && <span className="text-xs">{s.className}: </span>}
+                  <span className="font-semibold">Spell DC</span>{" "}
+                  <span className="font-bold text-black">{s.saveDC}</span>
+                  {" · "}
+                  <span className="font-semibold">Attack</span>{" "}
+                  <button
+                    onClick={() => onRoll(getCheckNotation(s.attackBonus), `${s.className} spell attack`)}
+                    title={`Roll ${getCheckNotation(s.attackBonus)}`}
+                    className="font-bold text-black hover:text-blue-800"
+                  >
+                    {formatModifier(s.attackBonus)}
+                  </button>
+                </div>
+              ))}
               {/* LEVEL COUNTER */}
               <div className="col-span-2 flex flex-col items-center justify-center border-2 border-yellow-700 rounded-lg py-1.5 mb-2 shadow-md bg-yellow-400">
                 <span className="uppercase text-sm font-bold tracking-wider text-black">
@@ -424,8 +658,9 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
                 </span>
                 <div className="flex items-center gap-2 mt-1">
                   <button
-                    onClick={() => adjustStat("level", -1)}
-                    className="bg-[#b33] text-white rounded-md px-2 text-lg font-bold leading-none"
+                    onClick={startLevelDown}
+                    disabled={stats.level <= 1 || levelingUp || levelingDown}
+                    className="disabled:opacity-40 bg-[#b33] text-white rounded-md px-2 text-lg font-bold leading-none"
                   >
                     −
                   </button>
@@ -433,53 +668,60 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
                     {stats.level || 1}
                   </span>
                   <button
-                    onClick={() => adjustStat("level", 1)}
-                    className="bg-[#2d7a2d] text-white rounded-md px-2 text-lg font-bold leading-none"
+                    onClick={() => setLevelingUp(true)}
+                    disabled={stats.level >= MAX_LEVEL || levelingUp || levelingDown}
+                    className="disabled:opacity-40 bg-[#2d7a2d] text-white rounded-md px-2 text-lg font-bold leading-none"
                   >
                     +
                   </button>
                 </div>
               </div>
 
-              {/* HP COUNTERS */}
-              <div className="grid grid-cols-2 gap-2 my-2">
-                {/* Current HP */}
-                <div className="flex flex-col items-center justify-center border-2 border-green-700 rounded-lg py-1.5 shadow-md bg-green-400">
-                  <span className="uppercase text-xs font-bold tracking-wider text-black">
-                    Current HP
-                  </span>
-                  <div className="flex items-center gap-1 mt-1">
-                    <button onClick={() => adjustStat("currentHP", -1)} className="bg-[#b33] text-white rounded-md px-2 text-base font-bold leading-none"> − </button>
-                    <span className="font-mono w-8 text-center text-xl font-bold text-black">
-                      {stats.currentHP || 0}
-                    </span>
-                    <button onClick={() => adjustStat("currentHP", 1)} className="bg-[#2d7a2d] text-white rounded-md px-2 text-base font-bold leading-none"> + </button>
-                  </div>
-                </div>
-                {/* Max HP */}
-                <div className="flex flex-col items-center justify-center border-2 border-gray-600 rounded-lg py-1.5 shadow-md bg-gray-400">
-                  <span className="uppercase text-xs font-bold tracking-wider text-black">
-                    Max HP
-                  </span>
-                  <div className="flex items-center gap-1 mt-1">
-                    <button onClick={() => adjustStat("maxHP", -1)} className="bg-[#b33] text-white rounded-md px-2 text-base font-bold leading-none"> − </button>
-                    <span className="font-mono w-8 text-center text-xl font-bold text-black">
-                      {stats.maxHP || 10}
-                    </span>
-                    <button onClick={() => adjustStat("maxHP", 1)} className="bg-[#2d7a2d] text-white rounded-md px-2 text-base font-bold leading-none"> + </button>
-                  </div>
-                </div>
-              </div>
+              {levelingUp && (
+                <LevelUpPanel
+                  classLevels={classLevels}
+                  stats={stats}
+                  ownedFeatures={skills}
+                  onConfirm={confirmLevelUp}
+                  onCancel={() => setLevelingUp(false)}
+                />
+              )}
+
+              {levelingDown && (
+                <LevelDownPanel
+                  classLevels={classLevels}
+                  ownedFeatures={skills}
+                  onConfirm={confirmLevelDown}
+                  onCancel={() => setLevelingDown(false)}
+                />
+              )}
+
+              {/* HP */}
+              <HitPointsPanel
+                stats={stats}
+                deathSaves={deathSaves}
+                onChange={handleHPChange}
+                onAdjustMax={adjustMaxHP}
+                onDamage={handleDamage}
+              />
+
+              {concentration && (
+                <ConcentrationPanel
+                  spell={concentration}
+                  check={concentrationCheck}
+                  saveBonus={conSaveBonus}
+                  onRollSave={() => {
+                    const result = onRoll(getCheckNotation(conSaveBonus), "Concentration save");
+                    resolveConcentrationCheck(result.total >= concentrationCheck.dc);
+                  }}
+                  onResolve={resolveConcentrationCheck}
+                  onEnd={endConcentration}
+                />
+              )}
 
               <div className="grid grid-cols-2 gap-x-2 gap-y-1 mt-1 text-sm">
-                {Object.entries(stats).map(([key, val]) => {
-                  if (
-                    key.toLowerCase() === "ac" ||
-                    key.toLowerCase() === "level" ||
-                    key.toLowerCase() === "maxhp" || // Intentionally lowercase for matching
-                    key.toLowerCase() === "currenthp" // Intentionally lowercase for matching
-                  )
-                    return null;
+                {ABILITIES.map((key) => {
+                  const val = stats[key];
                   const mod = getModifier(val);
                   const formatted = mod >= 0 ? `+${mod}` : mod;
                   return (
@@ -487,13 +729,20 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
                       key={key}
                       className="flex flex-col items-center justify-center border border-gray-400 rounded-md py-1 shadow-sm bg-[#f6f3c1]"
                     >
-                      <div
-                        className={`border rounded-full w-8 h-8 flex items-center justify-center text-xs font-bold mb-0.5 ${getModColor(
+                      <button
+                        onClick={() =>
+                          onRoll(
+                            getCheckNotation(mod, rollDisadvantage.includes(key)),
+                            `${ABILITY_ABBR[key]} check`
+                          )
+                        }
+                        title={`Roll ${getCheckNotation(mod, rollDisadvantage.includes(key))}`}
+                        className={`border rounded-full w-8 h-8 flex items-center justify-center text-xs font-bold mb-0.5 hover:ring-2 hover:ring-blue-700 ${getModColor(
                           mod
                         )}`}
                       >
                         {formatted}
-                      </div>
+                      </button>
                       <span className="capitalize text-xs font-semibold">
                         {key}
                       </span>
@@ -544,6 +793,16 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
                     placeholder={label}
                     localSuggestions={localSuggestions}
                   />
+                  {getDamageDice(getWeaponDamage(info.data)) && (
+                    <button
+                      onClick={() =>
+                        onRoll(getDamageDice(getWeaponDamage(info.data)), `${equipment[key]} damage`)
+                      }
+                      className="mt-1 text-xs bg-[#fff9e6] border border-gray-600 rounded px-2 py-0.5 hover:bg-yellow-200"
+                    >
+                      🎲 {getWeaponDamage(info.data)}
+                    </button>
+                  )}
                   {hoveredItem === key && (
                     <div
                       className="bg-[#fff9e6] border border-gray-700 rounded p-2 text-xs w-60 shadow-lg transition-opacity duration-150 ease-in-out"
@@ -564,10 +823,108 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
                   )}
                 </div>
               ))}
+              {equipmentProblems.warnings.length > 0 && (
+                <ul className="text-xs text-red-800 font-semibold space-y-0.5">
+                  {equipmentProblems.warnings.map((warning) => (
+                    <li key={warning}>⚠ {warning}</li>
+                  ))}
+                </ul>
+              )}
             </div>
           </div>
         </div>
 
+        {/* RESTS */}
+        <div className="flex justify-center gap-2 mt-4">
+          <button
+            onClick={shortRest}
+            title="Recover pact magic slots and short-rest resources"
+            className="bg-[#fff9e6] border border-gray-700 px-3 py-0.5 text-sm rounded hover:bg-yellow-200"
+          >
+            ☾ Short Rest
+          </button>
+          <button
+            onClick={longRest}
+            title="Recover all HP, spell slots and rest resources"
+            className="bg-[#fff9e6] border border-gray-700 px-3 py-0.5 text-sm rounded hover:bg-yellow-200"
+          >
+            ☀ Long Rest
+          </button>
+          {resources.length > 0 && (
+            <button
+              onClick={dawn}
+              title="Recover resources that recharge at dawn"
+              className="bg-[#fff9e6] border border-gray-700 px-3 py-0.5 text-sm rounded hover:bg-yellow-200"
+            >
+              ☼ Dawn
+            </button>
+          )}
+        </div>
+
+        {/* CLASS RESOURCES */}
+        {resources.length > 0 && (
+          <ClassResourcesPanel
+            resources={resources}
+            saved={classResources}
+            onChange={setClassResources}
+          />
+        )}
+
+        {/* ATTACKS */}
+        <AttacksPanel attacks={attacks} onRoll={onRoll} />
+
+        {/* SPELL SLOTS */}
+        {(spellSlots.length > 0 || pactMagic) && (
+          <SpellSlotsPanel
+            slots={spellSlots}
+            pact={pactMagic}
+            used={spellSlotsUsed}
+            pactUsed={pactSlotsUsed}
+            onChange={changeSpellSlots}
+          />
+        )}
+
+        {/* SPELLBOOK */}
+        <SpellbookPanel
+          spellbook={spellbook}
+          classLevels={classLevels}
+          stats={stats}
+          onChange={setSpellbook}
+          concentration={concentration}
+          onCast={(name) => {
+            setConcentration(name);
+            setConcentrationCheck(null);
+          }}
+        />
+
+        {/* SAVING THROWS + SKILLS */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-4">
+          <div>
+            <SavingThrowsPanel
+              stats={stats}
+              characterClass={classLevels[0].class}
+              proficiencies={saveProficiencies}
+              onChange={setSaveProficiencies}
+              onRoll={onRoll}
+              disadvantage={rollDisadvantage}
+            />
+            <ProficienciesPanel
+              classLevels={classLevels}
+              proficiencies={equipmentProficiencies}
+              onChange={setEquipmentProficiencies}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <SkillsPanel
+              stats={stats}
+              proficiencies={skillProficiencies}
+              onChange={setSkillProficiencies}
+              onRoll={onRoll}
+              disadvantage={rollDisadvantage}
+            />
+          </div>
+        </div>
+
         {/* FEATS / SKILLS / INVENTORY */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-4 text-sm">
           {/* FEATS */}
@@ -624,17 +981,17 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
             </ul>
           </div>
 
-          {/* SKILLS & SPELLS */}
+          {/* SKILLS & FEATURES */}
           <div className="bg-[#8bf7ee] border border-gray-700 rounded-md p-2">
             <h3 className="font-[Cinzel] font-bold text-center border-b border-gray-700 mb-1">
-              SKILLS & SPELLS
+              SKILLS & FEATURES
             </h3>
             <AutoInput
               localSuggestions={skillAndFeatureNamesForAutocomplete}
               value=""
               onChange={() => {}}
               onAdd={(name) => handleAdd(setSkills, skills, name)}
-              placeholder="Enter a Skill, Spell, or Class Feature"
+              placeholder="Enter a Skill or Class Feature"
             />
             <ul className="space-y-1 mt-1">
               {skills.map((s) => (
@@ -736,13 +1093,67 @@ export default function CharacterCard({ character, onDelete, onUpdate }) {
           </div>
         </div>
 
-        {/* DELETE BUTTON */}
+        {/* EXPORT BUTTON */}
         <button
-          onClick={onDelete}
-          className="mt-4 bg-[#b40000] text-white font-bold border-2 border-black w-full py-2 rounded hover:bg-[#d40000]"
+          onClick={() =>
+            exportCharacter({
+              ...character,
+              stats: { ...stats, ac },
+              ...details,
+              equipment,
+              feats,
+              skillsSpells: skills,
+              inventory,
+              skillProficiencies,
+              saveProficiencies,
+              equipmentProficiencies,
+              raceChoices,
+              raceBonuses,
+              deathSaves,
+              spellbook,
+              spellSlotsUsed,
+              pactSlotsUsed,
+              classResources,
+              concentration,
+              class: classLevels[0].class,
+              subClass: classLevels[0].subClass,
+              classLevels,
+            })
+          }
+          className="mt-4 bg-blue-700 text-white font-bold border-2 border-black w-full py-2 rounded hover:bg-blue-800"
         >
-          --Delete Character (!!!WARNING!!! Once Deleted, All Data Will Be Lost And CANNOT Be Retrieved!)--
+          Export Character
         </button>
+
+        {/* DELETE BUTTON (with confirmation step) */}
+        {confirmingDelete ? (
+          <div className="mt-2 bg-[#ffe0e0] border-2 border-black rounded p-2 text-center">
+            <p className="font-bold">
+              Move {details.name || character.name} to the Trash? (You can restore them from the Trash tab.)
+            </p>
+            <div className="mt-2 flex justify-center gap-2">
+              <button
+                onClick={onDelete}
+                className="bg-[#b40000] text-white font-bold px-4 py-1 rounded hover:bg-[#d40000]"
+              >
+                Yes, Delete
+              </button>
+              <button
+                onClick={() => setConfirmingDelete(false)}
+                className="bg-gray-300 text-black font-bold px-4 py-1 rounded hover:bg-gray-400"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={() => setConfirmingDelete(true)}
+            className="mt-2 bg-[#b40000] text-white font-bold border-2 border-black w-full py-2 rounded hover:bg-[#d40000]"
+          >
+            --Delete Character (moves to Trash)--
+          </button>
+        )}
       </div>
     </div>
   );
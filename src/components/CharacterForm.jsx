@@ -1,4 +1,13 @@
-import { useState } from "react";
+import { useState, useRef } from "react";
+import { createCharacterId } from "../utils/characterId";
+import { DEFAULT_STATS } from "../utils/characterStorage";
+import { readJSONFile, parseCharacterFile } from "../utils/characterFiles";
+import { ABILITIES, STANDARD_ARRAY, getModifier } from "../utils/dndRules";
+import { getStartingHP, subclassForClass } from "../utils/classRules";
+import { getRacialBonuses } from "../utils/raceRules";
+import AbilityScoreGenerator from "./AbilityScoreGenerator";
+import RacePicker from "./RacePicker";
+import ClassPicker, { SubclassPicker } from "./ClassPicker";
 
 const initialFormData = {
   name: "",
@@ -12,35 +21,72 @@ const initialFormData = {
   bio: "",
 };
 
-export default function CharacterForm({ addCharacter }) {
+// Matches the generator's starting state: standard array in sheet order
+const initialAbilityScores = Object.fromEntries(
+  ABILITIES.map((ability, i) => [ability, STANDARD_ARRAY[i]])
+);
+
+export default function CharacterForm({ addCharacter, importCharacter }) {
   const [formData, setFormData] = useState(initialFormData);
+  // null until the chosen method has produced a full set (e.g. before rolling)
+  const [abilityScores, setAbilityScores] = useState(initialAbilityScores);
+  const [raceChoices, setRaceChoices] = useState([]); // e.g. Half-Elf's two +1s
+  const [generatorKey, setGeneratorKey] = useState(0); // bump to reset the generator
+  const [importError, setImportError] = useState("");
+  const importRef = useRef(null);
 
   const handleChange = (e) =>
     setFormData({ ...formData, [e.target.name]: e.target.value });
 
+  const resetForm = () => {
+    setFormData(initialFormData);
+    setAbilityScores(initialAbilityScores);
+    setRaceChoices([]);
+    setGeneratorKey((k) => k + 1);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
+    if (!abilityScores) return;
+
+    // Racial ability score increases are added on top of the generated scores
+    const raceBonuses = getRacialBonuses(formData.race, raceChoices);
+    const scores = Object.fromEntries(
+      ABILITIES.map((a) => [a, abilityScores[a] + (raceBonuses[a] || 0)])
+    );
+
+    // 1st-level HP: class hit die + CON modifier
+    const maxHP = getStartingHP(formData.class, getModifier(scores.constitution));
+
     const newChar = {
+      id: createCharacterId(),
       ...formData,
       picture: "", // Add a default picture field
-      stats: {
-        level: 1,
-        maxHP: 10,
-        currentHP: 10,
-        strength: 3,
-        dexterity: 3,
-        constitution: 3,
-        intelligence: 3,
-        wisdom: 3,
-        charisma: 3,
-      },
+      stats: { ...DEFAULT_STATS, maxHP, currentHP: maxHP, ...scores },
+      classLevels: [{ class: formData.class, subClass: formData.subClass, level: 1 }],
+      raceChoices,
+      raceBonuses,
       feats: [],
       skillsSpells: [],
       inventory: [],
       equipment: {},
     };
     addCharacter(newChar);
-    setFormData(initialFormData);
+    resetForm();
+  };
+
+  // Import a single character exported from another table
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    setImportError("");
+    try {
+      importCharacter(parseCharacterFile(await readJSONFile(file)));
+    } catch (err) {
+      setImportError(err.message);
+    }
   };
 
   return (
@@ -55,7 +101,48 @@ export default function CharacterForm({ addCharacter }) {
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           {["name", "race", "class", "subClass", "alignment", "deity", "specialAbility"].map(
-            (field) => (
+            (field) => field === "race" ? (
+              <div key={field}>
+                <label className="font-bold capitalize">{field}:</label>
+                <RacePicker
+                  key={generatorKey}
+                  value={formData.race}
+                  choices={raceChoices}
+                  onChange={(race, choices) => {
+                    setFormData({ ...formData, race });
+                    setRaceChoices(choices);
+                  }}
+                  className="border rounded w-full p-1 mt-1"
+                />
+              </div>
+            ) : field === "class" ? (
+              <div key={field}>
+                <label className="font-bold capitalize">{field}:</label>
+                <ClassPicker
+                  key={generatorKey}
+                  value={formData.class}
+                  onChange={(cls) =>
+                    setFormData({
+                      ...formData,
+                      class: cls,
+                      subClass: subclassForClass(cls, formData.subClass),
+                    })
+                  }
+                  className="border rounded w-full p-1 mt-1"
+                />
+              </div>
+            ) : field === "subClass" ? (
+              <div key={field}>
+                <label className="font-bold capitalize">{field}:</label>
+                <SubclassPicker
+                  key={`${generatorKey}-${formData.class}`}
+                  characterClass={formData.class}
+                  value={formData.subClass}
+                  onChange={(subClass) => setFormData({ ...formData, subClass })}
+                  className="border rounded w-full p-1 mt-1"
+                />
+              </div>
+            ) : (
               <div key={field}>
                 <label className="font-bold capitalize">{field}:</label>
                 <input
@@ -93,6 +180,8 @@ export default function CharacterForm({ addCharacter }) {
             </select>
           </div>
 
+          <AbilityScoreGenerator key={generatorKey} onChange={setAbilityScores} />
+
           <div className="md:col-span-2">
             <label className="font-bold">Bio / Background:</label>
             <textarea
@@ -108,18 +197,37 @@ export default function CharacterForm({ addCharacter }) {
         <div className="mt-4 flex gap-4">
           <button
             type="submit"
-            className="bg-green-700 text-white px-4 py-2 rounded hover:bg-green-800"
+            disabled={!abilityScores}
+            title={abilityScores ? undefined : "Roll ability scores first"}
+            className="bg-green-700 text-white px-4 py-2 rounded hover:bg-green-800 disabled:opacity-50"
           >
             Add Character
           </button>
           <button
             type="reset"
-            onClick={() => setFormData(initialFormData)}
+            onClick={resetForm}
             className="bg-red-700 text-white px-4 py-2 rounded hover:bg-red-800"
           >
             Reset
           </button>
+          <button
+            type="button"
+            onClick={() => importRef.current?.click()}
+            className="ml-auto bg-blue-700 text-white px-4 py-2 rounded hover:bg-blue-800"
+          >
+            Import Character
+          </button>
+          <input
+            ref={importRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={handleImport}
+          />
         </div>
+        {importError && (
+          <p className="mt-2 text-red-800 font-semibold">{importError}</p>
+        )}
       </fieldset>
     </form>
   );
@@ -0,0 +1,102 @@
+import { useState } from "react";
+import { classData } from "../data/classData";
+import { getClassData, getSubclassNames } from "../utils/classRules";
+import AutoInput from "./AutoInput";
+
+const CUSTOM = "__custom__";
+
+const findOption = (options, value) =>
+  options.find((o) => o.toLowerCase() === String(value || "").trim().toLowerCase());
+
+// ─────────────────────────────────────────────
+// Class picker — local class list, or free text (with online suggestions)
+// ─────────────────────────────────────────────
+export default function ClassPicker({ value, onChange, className }) {
+  const known = getClassData(value);
+  const [custom, setCustom] = useState(Boolean(value) && !known);
+
+  const handleSelect = (e) => {
+    const isCustom = e.target.value === CUSTOM;
+    setCustom(isCustom);
+    onChange(isCustom ? "" : e.target.value);
+  };
+
+  return (
+    <div>
+      <select
+        value={custom ? CUSTOM : known?.name || ""}
+        onChange={handleSelect}
+        className={className}
+      >
+        <option value="">— Choose a class —</option>
+        {Object.keys(classData).map((name) => (
+          <option key={name} value={name}>
+            {name}
+          </option>
+        ))}
+        <option value={CUSTOM}>Custom / Homebrew…</option>
+      </select>
+      {custom && (
+        <AutoInput
+          endpoint="classes"
+          value={value}
+          onChange={onChange}
+          placeholder="Homebrew class name"
+        />
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────
+// Subclass picker — filtered to the selected class
+// ─────────────────────────────────────────────
+export function SubclassPicker({ characterClass, value, onChange, className }) {
+  const options = getSubclassNames(characterClass);
+  const match = findOption(options, value);
+  const [custom, setCustom] = useState(Boolean(value) && !match);
+
+  // Homebrew classes have no local subclass list: free text only
+  if (options.length === 0) {
+    return (
+      <AutoInput
+        endpoint="subclasses"
+        value={value}
+        onChange={onChange}
+        placeholder="Subclass"
+      />
+    );
+  }
+
+  const handleSelect = (e) => {
+    const isCustom = e.target.value === CUSTOM;
+    setCustom(isCustom);
+    onChange(isCustom ? "" : e.target.value);
+  };
+
+  return (
+    <div>
+      <select
+        value={custom ? CUSTOM : match || ""}
+        onChange={handleSelect}
+        className={className}
+      >
+        <option value="">— None yet —</option>
+        {options.map((name) => (
+          <option key={name} value={name}>
+            {name}
+          </option>
+        ))}
+        <option value={CUSTOM}>Custom / Homebrew…</option>
+      </select>
+      {custom && (
+        <AutoInput
+          endpoint="subclasses"
+          value={value}
+          onChange={onChange}
+          placeholder="Homebrew subclass name"
+        />
+      )}
+    </div>
+  );
+}
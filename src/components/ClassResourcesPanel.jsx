@@ -0,0 +1,73 @@
+import { classFeatureDescriptions } from "../data/classFeatureDescriptions";
+import { RECHARGE_LABELS } from "../utils/classRules";
+
+const counterButton =
+  "w-5 h-5 leading-none font-bold bg-[#fff9e6] border border-gray-600 rounded hover:bg-yellow-200 disabled:opacity-40";
+
+// ─────────────────────────────────────────────
+// Class resources — uses left of each limited-use class feature,
+// with a per-resource recharge (short rest, long rest or dawn)
+// ─────────────────────────────────────────────
+export default function ClassResourcesPanel({ resources, saved, onChange }) {
+  const update = (id, patch) => onChange({ ...saved, [id]: { used: 0, ...saved[id], ...patch } });
+
+  return (
+    <div className="bg-[#f0d8b8] border border-gray-700 rounded-md p-2 text-sm mt-4">
+      <h3 className="font-[Cinzel] font-bold text-center border-b border-gray-700 mb-1">
+        CLASS RESOURCES
+      </h3>
+      <ul className="space-y-1">
+        {resources.map((r) => {
+          const used = Math.min(saved[r.id]?.used || 0, r.max);
+          const recharge = saved[r.id]?.recharge || r.recharge;
+          return (
+            <li key={r.id} className="flex flex-wrap items-center gap-2">
+              <span className="flex-1 font-semibold" title={classFeatureDescriptions[r.feature]}>
+                {r.name} <span className="text-xs font-normal text-gray-700">({r.className})</span>
+              </span>
+              {Number.isFinite(r.max) ? (
+                <span className="flex items-center gap-1">
+                  <button
+                    onClick={() => update(r.id, { used: used + 1 })}
+                    disabled={used >= r.max}
+                    title="Spend a use"
+                    className={counterButton}
+                  >
+                    −
+                  </button>
+                  <span className="font-mono w-14 text-center">
+                    {r.max - used}/{r.max}
+                  </span>
+                  <button
+                    onClick={() => update(r.id, { used: used - 1 })}
+                    disabled={used <= 0}
+                    title="Recover a use"
+                    className={counterButton}
+                  >
+                    +
+                  </button>
+                </span>
+              ) : (
+                <span className="text-xs italic">Unlimited</span>
+              )}
+              <select
+                value={recharge}
+                onChange={(e) =>
+                  update(r.id, { recharge: e.target.value === r.recharge ? undefined : e.target.value })
+                }
+                title="Recharges on"
+                className="border rounded p-0.5 text-xs"
+              >
+                {Object.entries(RECHARGE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
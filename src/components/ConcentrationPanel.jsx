@@ -0,0 +1,60 @@
+import { formatModifier } from "../utils/dndRules";
+import { getCheckNotation } from "../utils/dice";
+
+// ─────────────────────────────────────────────
+// Concentration — the spell being maintained, and the CON save
+// prompt after taking damage
+// ─────────────────────────────────────────────
+export default function ConcentrationPanel({
+  spell,
+  check, // { damage, dc } while a save is pending, otherwise null
+  saveBonus,
+  onRollSave,
+  onResolve, // (passed) => void
+  onEnd,
+}) {
+  return (
+    <div className="bg-[#ecdcfb] border-2 border-purple-800 rounded-lg p-2 my-2 text-sm text-center">
+      <p>
+        <span className="font-bold">◎ Concentrating:</span> {spell}
+      </p>
+
+      {check ? (
+        <>
+          <p className="text-xs mt-1">
+            Took {check.damage} damage — CON save DC <strong>{check.dc}</strong> (
+            {formatModifier(saveBonus)})
+          </p>
+          <div className="flex flex-wrap justify-center gap-1 mt-1">
+            <button
+              onClick={onRollSave}
+              title={`Roll ${getCheckNotation(saveBonus)}`}
+              className="bg-purple-700 text-white px-2 py-0.5 rounded text-xs"
+            >
+              Roll CON save
+            </button>
+            <button
+              onClick={() => onResolve(true)}
+              className="bg-[#2d7a2d] text-white px-2 py-0.5 rounded text-xs"
+            >
+              Passed
+            </button>
+            <button
+              onClick={() => onResolve(false)}
+              className="bg-[#b33] text-white px-2 py-0.5 rounded text-xs"
+            >
+              Failed
+            </button>
+          </div>
+        </>
+      ) : (
+        <button
+          onClick={onEnd}
+          className="mt-1 bg-gray-300 text-black px-2 py-0.5 rounded text-xs"
+        >
+          End concentration
+        </button>
+      )}
+    </div>
+  );
+}
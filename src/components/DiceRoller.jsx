@@ -0,0 +1,104 @@
+import { useState } from "react";
+
+const MODE_LABEL = { advantage: "adv", disadvantage: "dis" };
+
+// One term of a roll: dice with dropped ones struck through, or a flat modifier
+function TermBreakdown({ term, first }) {
+  const sign = term.sign < 0 ? "− " : first ? "" : "+ ";
+  if (term.value !== undefined) return <span>{sign}{term.value} </span>;
+  return (
+    <span>
+      {sign}[
+      {term.rolls.map((r, i) => (
+        <span key={i} className={term.kept[i] ? "" : "line-through text-gray-500"}>
+          {i > 0 && ", "}
+          {r}
+        </span>
+      ))}
+      ]{" "}
+    </span>
+  );
+}
+
+// ─────────────────────────────────────────────
+// Dice roller — notation box plus this session's roll log
+// ─────────────────────────────────────────────
+export default function DiceRoller({ log, onRoll, onClear }) {
+  const [notation, setNotation] = useState("");
+  const [error, setError] = useState("");
+  const [open, setOpen] = useState(false);
+
+  const roll = (e) => {
+    e.preventDefault();
+    try {
+      onRoll(notation);
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const latest = log[0];
+
+  return (
+    <div className="fixed bottom-4 right-4 z-20 w-72 bg-[#fff9e6] border-2 border-black rounded-lg shadow-lg p-2 text-sm">
+      <form onSubmit={roll} className="flex gap-1">
+        <input
+          type="text"
+          value={notation}
+          onChange={(e) => setNotation(e.target.value)}
+          placeholder="2d6+3, 1d20 adv, 4d6kh3"
+          className="border rounded flex-1 min-w-0 p-1"
+        />
+        <button type="submit" className="bg-[#2d7a2d] text-white px-2 rounded font-bold">
+          🎲 Roll
+        </button>
+      </form>
+      {error && <p className="text-xs text-red-800 font-semibold mt-1">{error}</p>}
+
+      {latest && (
+        <div className="mt-1 text-center">
+          {latest.label && <p className="text-xs font-bold">{latest.label}</p>}
+          <p
+            className={`text-2xl font-bold ${
+              latest.natural === 20 ? "text-green-700" : latest.natural === 1 ? "text-red-700" : ""
+            }`}
+          >
+            {latest.total}
+          </p>
+          <p className="text-xs text-gray-700">
+            {latest.notation}: {latest.terms.map((t, i) => <TermBreakdown key={i} term={t} first={i === 0} />)}
+            {latest.natural === 20 && " — natural 20!"}
+            {latest.natural === 1 && " — natural 1"}
+          </p>
+        </div>
+      )}
+
+      {log.length > 1 && (
+        <div className="mt-1 border-t border-gray-400 pt-1">
+          <div className="flex justify-between text-xs">
+            <button onClick={() => setOpen((o) => !o)} className="underline">
+              {open ? "Hide" : "Show"} roll log ({log.length})
+            </button>
+            <button onClick={onClear} className="underline text-red-800">
+              Clear
+            </button>
+          </div>
+          {open && (
+            <ul className="max-h-48 overflow-y-auto text-xs mt-1 space-y-0.5">
+              {log.slice(1).map((entry) => (
+                <li key={entry.id} className="flex justify-between gap-2">
+                  <span className="truncate">
+                    {entry.label || entry.notation}
+                    {entry.mode && ` (${MODE_LABEL[entry.mode]})`}
+                  </span>
+                  <span className="font-mono font-bold">{entry.total}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
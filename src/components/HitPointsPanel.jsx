@@ -0,0 +1,180 @@
+import { useState } from "react";
+import { rollDie } from "../utils/dice";
+import {
+  DEATH_SAVES_NEEDED,
+  applyDamage,
+  applyHealing,
+  gainTempHP,
+  recordDeathSave,
+  isStable,
+  isDead,
+} from "../utils/hpRules";
+
+const counterButton = "rounded-md px-2 text-base font-bold leading-none text-white";
+const actionButton = "px-2 py-0.5 rounded text-xs text-white disabled:opacity-50";
+
+// Three clickable pips; clicking the last filled pip clears it
+function SavePips({ label, count, color, onSet }) {
+  return (
+    <div className="flex items-center gap-1">
+      <span className="text-xs font-bold w-16 text-right">{label}</span>
+      {Array.from({ length: DEATH_SAVES_NEEDED }, (_, i) => (
+        <button
+          key={i}
+          onClick={() => onSet(count === i + 1 ? i : i + 1)}
+          className={`w-4 h-4 rounded-full border-2 border-black ${i < count ? color : "bg-white"}`}
+          aria-label={`${label} ${i + 1}`}
+        />
+      ))}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────
+// Hit points: current / max / temporary HP, a damage–heal box,
+// and the death saving throw tracker once the character drops to 0
+// ─────────────────────────────────────────────
+export default function HitPointsPanel({ stats, deathSaves, onChange, onAdjustMax, onDamage }) {
+  const [amount, setAmount] = useState("");
+  const [lastRoll, setLastRoll] = useState(null);
+
+  const hp = { currentHP: stats.currentHP || 0, tempHP: stats.tempHP || 0, maxHP: stats.maxHP || 0 };
+  const value = Math.max(0, parseInt(amount, 10) || 0);
+  const down = hp.currentHP === 0;
+
+  const damage = (n) => {
+    const next = applyDamage(hp, deathSaves, n);
+    onChange({ currentHP: next.currentHP, tempHP: next.tempHP }, next.deathSaves);
+    // Damage absorbed by temporary HP still counts as damage taken
+    if (n > 0) onDamage?.(n, next.currentHP);
+    setAmount("");
+  };
+
+  const heal = (n) => {
+    const next = applyHealing(hp, deathSaves, n);
+    onChange({ currentHP: next.currentHP }, next.deathSaves);
+    if (next.currentHP > 0) setLastRoll(null);
+    setAmount("");
+  };
+
+  const addTemp = () => {
+    onChange({ tempHP: gainTempHP(hp.tempHP, value) }, deathSaves);
+    setAmount("");
+  };
+
+  const rollSave = () => {
+    const roll = rollDie(20);
+    const next = recordDeathSave(deathSaves, roll);
+    setLastRoll(next.regainedHP ? null : roll);
+    onChange(next.regainedHP ? { currentHP: next.regainedHP } : {}, next.deathSaves);
+  };
+
+  const setSaves = (field, count) => onChange({}, { ...deathSaves, [field]: count });
+
+  return (
+    <div className="my-2">
+      <div className="grid grid-cols-2 gap-2">
+        {/* Current HP */}
+        <div
+          className={`flex flex-col items-center justify-center border-2 rounded-lg py-1.5 shadow-md ${
+            down ? "border-red-800 bg-red-400" : "border-green-700 bg-green-400"
+          }`}
+        >
+          <span className="uppercase text-xs font-bold tracking-wider text-black">
+            Current HP
+          </span>
+          <div className="flex items-center gap-1 mt-1">
+            <button onClick={() => damage(1)} className={`bg-[#b33] ${counterButton}`}> − </button>
+            <span className="font-mono w-8 text-center text-xl font-bold text-black">
+              {hp.currentHP}
+            </span>
+            <button
+              onClick={() => heal(1)}
+              disabled={hp.currentHP >= hp.maxHP}
+              className={`bg-[#2d7a2d] ${counterButton} disabled:opacity-50`}
+            >
+              {" "}+{" "}
+            </button>
+          </div>
+          {hp.tempHP > 0 && (
+            <span className="text-xs font-bold text-blue-900" title="Temporary HP is lost first">
+              +{hp.tempHP} temp
+            </span>
+          )}
+        </div>
+        {/* Max HP */}
+        <div className="flex flex-col items-center justify-center border-2 border-gray-600 rounded-lg py-1.5 shadow-md bg-gray-400">
+          <span className="uppercase text-xs font-bold tracking-wider text-black">
+            Max HP
+          </span>
+          <div className="flex items-center gap-1 mt-1">
+            <button onClick={() => onAdjustMax(-1)} className={`bg-[#b33] ${counterButton}`}> − </button>
+            <span className="font-mono w-8 text-center text-xl font-bold text-black">
+              {hp.maxHP}
+            </span>
+            <button onClick={() => onAdjustMax(1)} className={`bg-[#2d7a2d] ${counterButton}`}> + </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Damage / heal / temp HP */}
+      <div className="flex items-center justify-center gap-1 mt-2">
+        <input
+          type="number"
+          min="0"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          placeholder="HP"
+          className="border rounded w-14 p-0.5 text-sm text-center"
+        />
+        <button onClick={() => damage(value)} disabled={!value} className={`bg-[#b33] ${actionButton}`}>
+          Damage
+        </button>
+        <button onClick={() => heal(value)} disabled={!value} className={`bg-[#2d7a2d] ${actionButton}`}>
+          Heal
+        </button>
+        <button onClick={addTemp} disabled={!value} className={`bg-blue-600 ${actionButton}`}>
+          Temp
+        </button>
+      </div>
+
+      {/* Death saving throws */}
+      {down && (
+        <div className="bg-[#fff9e6] border-2 border-red-800 rounded-lg p-2 mt-2 text-sm">
+          <p className="font-bold text-center">
+            {isDead(deathSaves) ? "☠ Dead" : isStable(deathSaves) ? "Stable" : "Death Saving Throws"}
+          </p>
+          <div className="flex flex-col items-center gap-1 my-1">
+            <SavePips
+              label="Successes"
+              count={deathSaves.successes}
+              color="bg-green-600"
+              onSet={(n) => setSaves("successes", n)}
+            />
+            <SavePips
+              label="Failures"
+              count={deathSaves.failures}
+              color="bg-red-600"
+              onSet={(n) => setSaves("failures", n)}
+            />
+          </div>
+          <div className="flex items-center justify-center gap-2">
+            <button
+              onClick={rollSave}
+              disabled={isDead(deathSaves) || isStable(deathSaves)}
+              className={`bg-gray-800 ${actionButton}`}
+            >
+              Roll d20
+            </button>
+            {lastRoll !== null && (
+              <span className="text-xs italic text-gray-700">
+                Rolled {lastRoll}
+                {lastRoll === 1 && " (two failures)"}
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import { useState } from "react";
+import { getFeaturesAboveLevel, getTotalLevel } from "../utils/classRules";
+
+const lostFeatures = (entry, owned) =>
+  getFeaturesAboveLevel(entry.class, entry.subClass, entry.level - 1, owned);
+
+// ─────────────────────────────────────────────
+// Level-down prompt: pick the class to lose a level in and list
+// the class features the lower level no longer grants
+// ─────────────────────────────────────────────
+export default function LevelDownPanel({ classLevels, ownedFeatures, onConfirm, onCancel }) {
+  // Default to the most recently added class
+  const [classIndex, setClassIndex] = useState(classLevels.length - 1);
+  const entry = classLevels[classIndex];
+  const features = lostFeatures(entry, ownedFeatures);
+  const [selected, setSelected] = useState(() => features.map((f) => f.key));
+
+  const choose = (index) => {
+    setClassIndex(index);
+    setSelected(lostFeatures(classLevels[index], ownedFeatures).map((f) => f.key));
+  };
+
+  const toggle = (key) =>
+    setSelected((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+
+  return (
+    <div className="bg-[#fff9e6] border-2 border-red-700 rounded-lg p-2 mb-2 text-sm">
+      <p className="font-bold text-center">Level down to {getTotalLevel(classLevels) - 1}?</p>
+
+      {classLevels.length > 1 && (
+        <select
+          value={classIndex}
+          onChange={(e) => choose(Number(e.target.value))}
+          className="border rounded w-full p-0.5 my-1 text-xs"
+        >
+          {classLevels.map((c, i) => (
+            <option key={i} value={i}>
+              {c.class || "Class"} {c.level} → {c.level - 1}
+              {c.level === 1 ? " (removes class)" : ""}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {features.length > 0 ? (
+        <>
+          <p className="text-xs text-gray-700">
+            These features need a higher level and would no longer apply. Ticked ones will be
+            removed:
+          </p>
+          {features.map((f) => (
+            <label key={f.key} className="flex items-start gap-1 text-xs">
+              <input
+                type="checkbox"
+                checked={selected.includes(f.key)}
+                onChange={() => toggle(f.key)}
+                className="mt-0.5"
+              />
+              <span>
+                {f.name} <span className="italic text-gray-600">(Lv {f.level})</span>
+              </span>
+            </label>
+          ))}
+        </>
+      ) : (
+        <p className="text-xs italic text-gray-700 text-center">No class features are lost.</p>
+      )}
+
+      <div className="flex justify-center gap-1 mt-1">
+        <button
+          onClick={() => onConfirm({ classIndex, removedFeatures: selected })}
+          className="bg-[#b33] text-white px-2 py-0.5 rounded text-xs"
+        >
+          Level Down
+        </button>
+        <button onClick={onCancel} className="bg-gray-300 text-black px-2 py-0.5 rounded text-xs">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import { useState } from "react";
+import { classData } from "../data/classData";
+import { rollDie } from "../utils/dice";
+import { formatModifier, getModifier } from "../utils/dndRules";
+import {
+  getClassData,
+  getHitDie,
+  getAverageHitDieRoll,
+  getLevelUpHP,
+  getFeaturesGainedAt,
+  getMulticlassProblems,
+  getTotalLevel,
+} from "../utils/classRules";
+
+// ─────────────────────────────────────────────
+// Level-up prompt: pick the class to advance (or multiclass into),
+// roll the hit die or take the average + CON modifier,
+// and pick which newly gained class features to add
+// ─────────────────────────────────────────────
+export default function LevelUpPanel({
+  classLevels,
+  stats,
+  ownedFeatures, // feature names already on the sheet
+  onConfirm, // ({ classIndex, className, hp, features }) — classIndex null for a new class
+  onCancel,
+}) {
+  const [choice, setChoice] = useState("0"); // index into classLevels, or "new:<Class>"
+  const [result, setResult] = useState(null); // { label, hp }
+
+  const isNew = choice.startsWith("new:");
+  const classIndex = isNew ? null : Number(choice);
+  const entry = isNew
+    ? { class: choice.slice(4), subClass: "", level: 0 }
+    : classLevels[classIndex];
+  const newClassLevel = entry.level + 1;
+
+  const hitDie = getHitDie(entry.class);
+  const knownClass = Boolean(getClassData(entry.class));
+  const conMod = getModifier(stats.constitution);
+  const average = getAverageHitDieRoll(hitDie);
+
+  const features = getFeaturesGainedAt(entry.class, entry.subClass, newClassLevel).filter(
+    (f) => !ownedFeatures.includes(f.key)
+  );
+  const [selected, setSelected] = useState(() => features.map((f) => f.key));
+
+  // Classes the character doesn't have yet, with any unmet multiclass requirements
+  const taken = classLevels.map((c) => c.class.toLowerCase());
+  const newClassOptions = Object.keys(classData)
+    .filter((name) => !taken.includes(name.toLowerCase()))
+    .map((name) => ({ name, problems: getMulticlassProblems(name, classLevels, stats) }));
+
+  const choose = (value) => {
+    setChoice(value);
+    setResult(null);
+    const next = value.startsWith("new:")
+      ? { class: value.slice(4), subClass: "", level: 0 }
+      : classLevels[Number(value)];
+    setSelected(
+      getFeaturesGainedAt(next.class, next.subClass, next.level + 1)
+        .filter((f) => !ownedFeatures.includes(f.key))
+        .map((f) => f.key)
+    );
+  };
+
+  const toggleFeature = (key) =>
+    setSelected((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+  const confirm = (hp) =>
+    onConfirm({ classIndex, className: entry.class, hp, features: selected });
+
+  const roll = () => {
+    const die = rollDie(hitDie);
+    setResult({ label: `Rolled ${die} on d${hitDie}`, hp: getLevelUpHP(die, conMod) });
+  };
+
+  const takeAverage = () =>
+    setResult({ label: `Average of d${hitDie} is ${average}`, hp: getLevelUpHP(average, conMod) });
+
+  return (
+    <div className="bg-[#fff9e6] border-2 border-yellow-700 rounded-lg p-2 mb-2 text-sm text-center">
+      <p className="font-bold">Level up to {getTotalLevel(classLevels) + 1}!</p>
+
+      <select
+        value={choice}
+        onChange={(e) => choose(e.target.value)}
+        className="border rounded w-full p-0.5 my-1 text-xs"
+      >
+        {classLevels.map((c, i) => (
+          <option key={i} value={String(i)}>
+            {c.class || "Class"} {c.level} → {c.level + 1}
+          </option>
+        ))}
+        <optgroup label="Multiclass into…">
+          {newClassOptions.map(({ name, problems }) => (
+            <option key={name} value={`new:${name}`} disabled={problems.length > 0}>
+              {name} 1{problems.length > 0 ? ` (${problems.join("; ")})` : ""}
+            </option>
+          ))}
+        </optgroup>
+      </select>
+
+      <p className="text-xs text-gray-700">
+        Hit die d{hitDie}
+        {!knownClass && " (class unknown, assuming d8)"} · CON {formatModifier(conMod)}
+      </p>
+
+      {features.length > 0 && (
+        <div className="text-left mt-1">
+          <p className="text-xs font-bold">New class features:</p>
+          {features.map((f) => (
+            <label key={f.key} className="flex items-start gap-1 text-xs">
+              <input
+                type="checkbox"
+                checked={selected.includes(f.key)}
+                onChange={() => toggleFeature(f.key)}
+                className="mt-0.5"
+              />
+              <span>
+                {f.name}
+                {f.subclass && <span className="italic text-gray-600"> ({f.subclass})</span>}
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {result ? (
+        <>
+          <p className="mt-1">
+            {result.label}, CON {formatModifier(conMod)} →{" "}
+            <strong>+{result.hp} max HP</strong>
+          </p>
+          <div className="flex justify-center gap-1 mt-1">
+            <button
+              onClick={() => confirm(result.hp)}
+              className="bg-[#2d7a2d] text-white px-2 py-0.5 rounded text-xs"
+            >
+              Apply
+            </button>
+            <button
+              onClick={() => setResult(null)}
+              className="bg-gray-300 text-black px-2 py-0.5 rounded text-xs"
+            >
+              Back
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="flex flex-wrap justify-center gap-1 mt-1">
+          <button onClick={roll} className="bg-[#2d7a2d] text-white px-2 py-0.5 rounded text-xs">
+            Roll d{hitDie}
+          </button>
+          <button
+            onClick={takeAverage}
+            className="bg-blue-600 text-white px-2 py-0.5 rounded text-xs"
+          >
+            Take {average}
+          </button>
+          <button
+            onClick={() => confirm(0)}
+            className="bg-gray-300 text-black px-2 py-0.5 rounded text-xs"
+            title="Level up without changing HP"
+          >
+            Skip HP
+          </button>
+          <button onClick={onCancel} className="bg-[#b33] text-white px-2 py-0.5 rounded text-xs">
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
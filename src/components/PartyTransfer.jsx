@@ -0,0 +1,116 @@
+import { useState, useRef } from "react";
+import {
+  exportParty,
+  readJSONFile,
+  parsePartyFile,
+  mergeParty,
+} from "../utils/characterFiles";
+
+// ─────────────────────────────────────────────
+// Party backup: Export / Import the whole party as a JSON file
+// ─────────────────────────────────────────────
+export default function PartyTransfer({ characters, onImport }) {
+  const [pending, setPending] = useState(null); // characters read from a file, awaiting merge/replace
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    setError("");
+    try {
+      const data = await readJSONFile(file);
+      setPending(parsePartyFile(data));
+    } catch (err) {
+      setPending(null);
+      setError(err.message);
+    }
+  };
+
+  const preview = pending ? mergeParty(characters, pending) : null;
+
+  const confirm = (mode) => {
+    onImport(mode === "replace" ? pending : preview.characters, mode);
+    setPending(null);
+  };
+
+  return (
+    <div className="mb-6 text-center">
+      <div className="flex flex-wrap justify-center gap-2">
+        <button
+          onClick={() => exportParty(characters)}
+          disabled={characters.length === 0}
+          className="bg-blue-700 text-white px-4 py-1 rounded hover:bg-blue-800 disabled:opacity-50"
+        >
+          Export Party
+        </button>
+        <button
+          onClick={() => fileRef.current?.click()}
+          className="bg-green-700 text-white px-4 py-1 rounded hover:bg-green-800"
+        >
+          Import Party
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleFile}
+        />
+      </div>
+
+      {error && <p className="mt-2 text-red-800 font-semibold">{error}</p>}
+
+      {pending && (
+        <div className="mt-3 mx-auto max-w-xl bg-[#fff0cc] border-2 border-black rounded-lg p-3 text-left">
+          <p className="font-bold">
+            Found {pending.length} character{pending.length === 1 ? "" : "s"} in the file:{" "}
+            <span className="font-normal">{pending.map((c) => c.name).join(", ")}</span>
+          </p>
+          {characters.length > 0 && (
+            <>
+              <p className="mt-1 text-sm">
+                <strong>Merge</strong> keeps your current {characters.length} character
+                {characters.length === 1 ? "" : "s"} and adds these.{" "}
+                <strong>Replace</strong> discards the current party.
+              </p>
+              {preview.renamed.length > 0 && (
+                <ul className="mt-1 text-sm italic list-disc list-inside">
+                  {preview.renamed.map(({ from, to }) => (
+                    <li key={to}>
+                      "{from}" already exists — merged copy will be named "{to}"
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+          <div className="mt-3 flex gap-2 justify-end">
+            <button
+              onClick={() => confirm("merge")}
+              className="bg-green-700 text-white px-3 py-1 rounded hover:bg-green-800"
+            >
+              Merge
+            </button>
+            {characters.length > 0 && (
+              <button
+                onClick={() => confirm("replace")}
+                className="bg-red-700 text-white px-3 py-1 rounded hover:bg-red-800"
+              >
+                Replace
+              </button>
+            )}
+            <button
+              onClick={() => setPending(null)}
+              className="bg-gray-300 text-black px-3 py-1 rounded hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { weaponShieldData } from "../data/weaponShieldData";
+import { ARMOR_TYPES, WEAPON_CATEGORIES } from "../utils/equipmentRules";
+import { formatClassLevels, getDefaultEquipmentProficiencies } from "../utils/classRules";
+
+const weaponNames = Object.values(weaponShieldData)
+  .filter((item) => item.kind === "Weapon")
+  .map((item) => item.name);
+
+// ─────────────────────────────────────────────
+// Armor & weapon proficiencies — class defaults unless overridden per character
+// ─────────────────────────────────────────────
+export default function ProficienciesPanel({ classLevels, proficiencies, onChange }) {
+  // `proficiencies` is null until the user overrides the class defaults
+  const current = proficiencies || getDefaultEquipmentProficiencies(classLevels);
+  const namedWeapons = current.weapons.filter((w) => !WEAPON_CATEGORIES.includes(w));
+
+  const toggle = (field, value) =>
+    onChange({
+      ...current,
+      [field]: current[field].includes(value)
+        ? current[field].filter((v) => v !== value)
+        : [...current[field], value],
+    });
+
+  const checkbox = (field, value) => (
+    <label key={value} className="flex items-center gap-1 capitalize">
+      <input
+        type="checkbox"
+        checked={current[field].includes(value)}
+        onChange={() => toggle(field, value)}
+      />
+      {value}
+    </label>
+  );
+
+  return (
+    <div className="bg-[#c9e3f2] border border-gray-700 rounded-md p-2 text-sm mt-3">
+      <h3 className="font-[Cinzel] font-bold text-center border-b border-gray-700 mb-1">
+        PROFICIENCIES
+      </h3>
+      <p className="text-xs font-bold">Armor</p>
+      <div className="flex flex-wrap gap-x-3 text-xs">
+        {ARMOR_TYPES.map((type) => checkbox("armor", type))}
+      </div>
+      <p className="text-xs font-bold mt-1">Weapons</p>
+      <div className="flex flex-wrap gap-x-3 text-xs">
+        {WEAPON_CATEGORIES.map((category) => checkbox("weapons", category))}
+      </div>
+      <div className="flex flex-wrap gap-1 mt-1">
+        {namedWeapons.map((name) => (
+          <button
+            key={name}
+            onClick={() => toggle("weapons", name)}
+            title="Remove"
+            className="text-xs bg-[#fff9e6] border border-gray-600 rounded px-1.5 hover:bg-red-200"
+          >
+            {name} ✕
+          </button>
+        ))}
+      </div>
+      <select
+        value=""
+        onChange={(e) => e.target.value && toggle("weapons", e.target.value)}
+        className="border rounded w-full p-0.5 mt-1 text-xs"
+      >
+        <option value="">+ Add a specific weapon…</option>
+        {weaponNames
+          .filter((name) => !current.weapons.includes(name))
+          .map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+      </select>
+      {proficiencies ? (
+        <button
+          onClick={() => onChange(null)}
+          className="mt-1 w-full text-xs bg-[#fff9e6] px-2 py-0.5 rounded hover:bg-yellow-200"
+        >
+          Reset to {formatClassLevels(classLevels) || "class"} defaults
+        </button>
+      ) : (
+        <p className="text-xs italic text-gray-700 text-center mt-1">
+          Defaults from {formatClassLevels(classLevels) || "class"}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { useState } from "react";
+import { raceData } from "../data/raceData";
+import { getRaceData } from "../utils/raceRules";
+import { ABILITIES, ABILITY_ABBR, formatModifier } from "../utils/dndRules";
+
+const CUSTOM = "__custom__";
+
+// ─────────────────────────────────────────────
+// Race picker — SRD races with their ability bonuses, or free text
+// ─────────────────────────────────────────────
+export default function RacePicker({ value, choices = [], onChange, className }) {
+  const race = getRaceData(value);
+  const [custom, setCustom] = useState(Boolean(value) && !race);
+
+  const handleSelect = (e) => {
+    if (e.target.value === CUSTOM) {
+      setCustom(true);
+      onChange("", []);
+    } else {
+      setCustom(false);
+      onChange(e.target.value, []);
+    }
+  };
+
+  const toggleChoice = (ability) => {
+    const { count } = race.abilityChoices;
+    if (choices.includes(ability)) {
+      onChange(value, choices.filter((a) => a !== ability));
+    } else if (choices.length < count) {
+      onChange(value, [...choices, ability]);
+    }
+  };
+
+  const bonusSummary = race
+    ? Object.entries(race.abilityBonuses)
+        .map(([a, n]) => `${ABILITY_ABBR[a]} ${formatModifier(n)}`)
+        .join(", ")
+    : "";
+
+  return (
+    <div>
+      <select
+        value={custom ? CUSTOM : race?.name || ""}
+        onChange={handleSelect}
+        className={className}
+      >
+        <option value="">— Choose a race —</option>
+        {Object.keys(raceData).map((name) => (
+          <option key={name} value={name}>
+            {name}
+          </option>
+        ))}
+        <option value={CUSTOM}>Custom / Homebrew…</option>
+      </select>
+
+      {custom && (
+        <input
+          type="text"
+          value={value}
+          placeholder="Race name"
+          onChange={(e) => onChange(e.target.value, [])}
+          className={className}
+        />
+      )}
+
+      {race && (
+        <p className="text-xs italic text-gray-700 mt-1">
+          {bonusSummary}
+          {race.abilityChoices &&
+            `, +${race.abilityChoices.amount} to ${race.abilityChoices.count} others`}
+        </p>
+      )}
+
+      {race?.abilityChoices && (
+        <div className="flex flex-wrap gap-x-3 text-xs mt-1">
+          {ABILITIES.filter((a) => !race.abilityChoices.exclude?.includes(a)).map((a) => (
+            <label key={a} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={choices.includes(a)}
+                onChange={() => toggleChoice(a)}
+              />
+              {ABILITY_ABBR[a]}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import {
+  ABILITIES,
+  ABILITY_ABBR,
+  getModifier,
+  formatModifier,
+  getProficiencyBonus,
+} from "../utils/dndRules";
+import { getClassSavingThrows } from "../utils/classRules";
+import { getCheckNotation } from "../utils/dice";
+
+// ─────────────────────────────────────────────
+// Saving throws — class defaults unless overridden per character
+// ─────────────────────────────────────────────
+export default function SavingThrowsPanel({
+  stats,
+  characterClass,
+  proficiencies,
+  onChange,
+  onRoll,
+  disadvantage = [], // abilities rolled at disadvantage
+}) {
+  // `proficiencies` is null/undefined until the user overrides the class defaults
+  const classDefaults = getClassSavingThrows(characterClass);
+  const proficient = proficiencies || classDefaults;
+  const prof = getProficiencyBonus(stats.level);
+
+  const toggle = (ability) =>
+    onChange(
+      proficient.includes(ability)
+        ? proficient.filter((a) => a !== ability)
+        : [...proficient, ability]
+    );
+
+  return (
+    <div className="bg-[#f7d9a8] border border-gray-700 rounded-md p-2 text-sm">
+      <h3 className="font-[Cinzel] font-bold text-center border-b border-gray-700 mb-1">
+        SAVING THROWS
+      </h3>
+      <ul className="space-y-0.5">
+        {ABILITIES.map((ability) => {
+          const isProficient = proficient.includes(ability);
+          const bonus = getModifier(stats[ability]) + (isProficient ? prof : 0);
+          const notation = getCheckNotation(bonus, disadvantage.includes(ability));
+          return (
+            <li key={ability} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={isProficient}
+                onChange={() => toggle(ability)}
+                title="Proficient"
+              />
+              <button
+                onClick={() => onRoll(notation, `${ABILITY_ABBR[ability]} save`)}
+                title={`Roll ${notation}`}
+                className="font-mono w-7 text-right font-bold hover:text-blue-800"
+              >
+                {formatModifier(bonus)}
+              </button>
+              <span className="capitalize">{ability}</span>
+              <span className="text-gray-600 text-xs">({ABILITY_ABBR[ability]})</span>
+            </li>
+          );
+        })}
+      </ul>
+      {proficiencies ? (
+        <button
+          onClick={() => onChange(null)}
+          className="mt-1 w-full text-xs bg-[#fff9e6] px-2 py-0.5 rounded hover:bg-yellow-200"
+        >
+          Reset to {characterClass || "class"} defaults
+        </button>
+      ) : (
+        <p className="text-xs italic text-gray-700 text-center mt-1">
+          {classDefaults.length > 0
+            ? `Defaults from ${characterClass}`
+            : "Tick the saves this character is proficient in"}
+        </p>
+      )}
+    </div>
+  );
+}
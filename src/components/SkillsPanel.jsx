@@ -0,0 +1,84 @@
+import { skillData } from "../data/skillData";
+import {
+  ABILITY_ABBR,
+  getModifier,
+  formatModifier,
+  getProficiencyBonus,
+} from "../utils/dndRules";
+import { getCheckNotation } from "../utils/dice";
+
+// Click cycles: untrained → proficient → expertise → untrained
+const NEXT_LEVEL = { proficient: "expertise", expertise: null };
+
+const MARKERS = {
+  proficient: { symbol: "●", className: "text-green-800", title: "Proficient" },
+  expertise: { symbol: "◆", className: "text-purple-800", title: "Expertise" },
+};
+
+/** Skill check bonus: ability modifier + proficiency (doubled for expertise) */
+function getSkillBonus(skill, stats, proficiencies) {
+  const mod = getModifier(stats[skillData[skill].ability]);
+  const prof = getProficiencyBonus(stats.level);
+  const level = proficiencies[skill];
+  if (level === "expertise") return mod + prof * 2;
+  if (level === "proficient") return mod + prof;
+  return mod;
+}
+
+// ─────────────────────────────────────────────
+// Skills block — the 18 ability-check skills
+// ─────────────────────────────────────────────
+export default function SkillsPanel({
+  stats,
+  proficiencies,
+  onChange,
+  onRoll,
+  disadvantage = [], // abilities rolled at disadvantage
+}) {
+  const toggle = (skill) => {
+    const next = { ...proficiencies };
+    const current = proficiencies[skill];
+    const level = current ? NEXT_LEVEL[current] : "proficient";
+    if (level) next[skill] = level;
+    else delete next[skill];
+    onChange(next);
+  };
+
+  return (
+    <div className="bg-[#d9c7f7] border border-gray-700 rounded-md p-2 text-sm h-full">
+      <h3 className="font-[Cinzel] font-bold text-center border-b border-gray-700 mb-1">
+        SKILLS
+      </h3>
+      <ul className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-0.5">
+        {Object.entries(skillData).map(([skill, { ability }]) => {
+          const marker = MARKERS[proficiencies[skill]];
+          const bonus = getSkillBonus(skill, stats, proficiencies);
+          const notation = getCheckNotation(bonus, disadvantage.includes(ability));
+          return (
+            <li key={skill} className="flex items-center gap-2">
+              <button
+                onClick={() => toggle(skill)}
+                title={marker ? `${marker.title} (click to change)` : "Not proficient (click to change)"}
+                className={`w-5 h-5 leading-none text-xs bg-[#fff9e6] border border-gray-600 rounded-full ${marker?.className || "text-gray-400"}`}
+              >
+                {marker ? marker.symbol : "○"}
+              </button>
+              <button
+                onClick={() => onRoll(notation, `${skill} check`)}
+                title={`Roll ${notation}`}
+                className="font-mono w-7 text-right font-bold hover:text-blue-800"
+              >
+                {formatModifier(bonus)}
+              </button>
+              <span>{skill}</span>
+              <span className="text-gray-600 text-xs">({ABILITY_ABBR[ability]})</span>
+            </li>
+          );
+        })}
+      </ul>
+      <p className="text-xs italic text-gray-700 text-center mt-1">
+        ○ untrained · ● proficient · ◆ expertise (double proficiency)
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+const ORDINALS = ["1st", "2nd", "3rd", "4th", "5th", "6th", "7th", "8th", "9th"];
+
+// One row of slot pips: filled = available, hollow = expended.
+// Clicking an available slot spends one; clicking an expended slot recovers one.
+function SlotRow({ label, max, used, onChange, color }) {
+  const spent = Math.min(used, max);
+  return (
+    <div className="flex items-center gap-1">
+      <span className="text-xs font-bold w-10 text-right">{label}</span>
+      {Array.from({ length: max }, (_, i) => {
+        const available = i < max - spent;
+        return (
+          <button
+            key={i}
+            onClick={() => onChange(available ? spent + 1 : spent - 1)}
+            title={available ? "Spend a slot" : "Recover a slot"}
+            className={`w-4 h-4 rounded-full border-2 border-black ${available ? color : "bg-white"}`}
+          />
+        );
+      })}
+      <span className="text-xs text-gray-700 ml-1">
+        {max - spent}/{max}
+      </span>
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────
+// Spell slots — shared slots by spell level, plus Warlock pact magic
+// ─────────────────────────────────────────────
+export default function SpellSlotsPanel({ slots, pact, used, pactUsed, onChange }) {
+  const setUsed = (index, count) => {
+    const next = slots.map((_, i) => used[i] || 0);
+    next[index] = count;
+    onChange(next, pactUsed);
+  };
+
+  return (
+    <div className="bg-[#d6c8f0] border border-gray-700 rounded-md p-2 text-sm mt-4">
+      <h3 className="font-[Cinzel] font-bold text-center border-b border-gray-700 mb-1">
+        SPELL SLOTS
+      </h3>
+      <div className="flex flex-wrap justify-center gap-x-6 gap-y-1">
+        {slots.map((max, i) => (
+          <SlotRow
+            key={i}
+            label={ORDINALS[i]}
+            max={max}
+            used={used[i] || 0}
+            onChange={(count) => setUsed(i, count)}
+            color="bg-purple-700"
+          />
+        ))}
+      </div>
+      {pact && (
+        <div className="flex flex-col items-center mt-1 pt-1 border-t border-gray-500">
+          <p className="text-xs font-bold">
+            Pact Magic ({ORDINALS[pact.level - 1]} level, back on a short rest)
+          </p>
+          <SlotRow
+            label="Pact"
+            max={pact.slots}
+            used={pactUsed}
+            onChange={(count) => onChange(used, count)}
+            color="bg-teal-700"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
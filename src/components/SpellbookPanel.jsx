@@ -0,0 +1,220 @@
+import { useState } from "react";
+import { spellList, SPELL_SCHOOLS, getSpellData, getPreparedLimit } from "../utils/spellRules";
+import AutoInput from "./AutoInput";
+
+const LEVEL_LABELS = [
+  "Cantrips",
+  "1st Level",
+  "2nd Level",
+  "3rd Level",
+  "4th Level",
+  "5th Level",
+  "6th Level",
+  "7th Level",
+  "8th Level",
+  "9th Level",
+];
+
+const spellNamesForAutocomplete = spellList.map(({ name }) => ({ name }));
+
+// "Evocation · 1 action · 150 ft · Instant"
+const spellSummary = (spell) =>
+  [spell.school, spell.castingTime, spell.range, spell.duration].join(" · ");
+
+// ─────────────────────────────────────────────
+// Spellbook — known and prepared spells grouped by spell level,
+// filterable by school and level; "All spells" browses the local list
+// ─────────────────────────────────────────────
+export default function SpellbookPanel({
+  spellbook,
+  classLevels,
+  stats,
+  onChange,
+  concentration, // spell currently concentrated on, or null
+  onCast, // (name) => void — casting a concentration spell
+}) {
+  const [school, setSchool] = useState("");
+  const [level, setLevel] = useState("");
+  const [browseAll, setBrowseAll] = useState(false);
+  // Concentration spell waiting on confirmation to replace the current one
+  const [pendingCast, setPendingCast] = useState(null);
+
+  const entries = new Map(spellbook.map((entry) => [entry.name, entry]));
+  const preparedLimit = getPreparedLimit(classLevels, stats);
+  // Cantrips are always ready and don't count towards the limit
+  const preparedCount = spellbook.filter((e) => e.prepared && getSpellData(e.name)?.level !== 0).length;
+  const atLimit = preparedLimit !== null && preparedCount >= preparedLimit;
+
+  const setKnown = (name, known) =>
+    onChange(
+      known
+        ? [...spellbook, { name, prepared: false }]
+        : spellbook.filter((e) => e.name !== name)
+    );
+  const addSpell = (name) => {
+    const canonical = getSpellData(name)?.name || name;
+    if (!entries.has(canonical)) setKnown(canonical, true);
+  };
+  const setPrepared = (name, prepared) =>
+    onChange(spellbook.map((e) => (e.name === name ? { ...e, prepared } : e)));
+
+  // Only one concentration spell at a time: casting another drops the first
+  const cast = (name) => {
+    if (concentration && concentration !== name) setPendingCast(name);
+    else onCast(name);
+  };
+  const confirmCast = () => {
+    onCast(pendingCast);
+    setPendingCast(null);
+  };
+
+  // Local spells with full data, plus anything added by name (homebrew / online)
+  const spells = browseAll
+    ? [
+        ...spellList,
+        ...spellbook.filter((e) => !getSpellData(e.name)).map((e) => ({ name: e.name, level: null })),
+      ]
+    : spellbook.map((e) => getSpellData(e.name) || { name: e.name, level: null });
+
+  const visible = spells.filter(
+    (s) =>
+      (!school || s.school === school) &&
+      (level === "" || s.level === Number(level))
+  );
+
+  const groups = [...LEVEL_LABELS.map((label, i) => ({ label, level: i })), { label: "Other", level: null }]
+    .map((group) => ({
+      ...group,
+      spells: visible
+        .filter((s) => s.level === group.level)
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    }))
+    .filter((group) => group.spells.length > 0);
+
+  return (
+    <div className="bg-[#c8d8f7] border border-gray-700 rounded-md p-2 text-sm mt-4">
+      <h3 className="font-[Cinzel] font-bold text-center border-b border-gray-700 mb-1">
+        SPELLBOOK
+      </h3>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs mb-1">
+        <select value={school} onChange={(e) => setSchool(e.target.value)} className="border rounded p-0.5">
+          <option value="">All schools</option>
+          {SPELL_SCHOOLS.map((s) => (
+            <option key={s} value={s}>
+              {s}
+            </option>
+          ))}
+        </select>
+        <select value={level} onChange={(e) => setLevel(e.target.value)} className="border rounded p-0.5">
+          <option value="">All levels</option>
+          {LEVEL_LABELS.map((label, i) => (
+            <option key={i} value={i}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={browseAll} onChange={(e) => setBrowseAll(e.target.checked)} />
+          All spells
+        </label>
+        {preparedLimit !== null && (
+          <span className={`ml-auto font-bold ${preparedCount > preparedLimit ? "text-red-800" : ""}`}>
+            Prepared {preparedCount} / {preparedLimit}
+          </span>
+        )}
+      </div>
+
+      {pendingCast && (
+        <div className="bg-[#fff9e6] border border-purple-800 rounded p-1 my-1 text-xs text-center">
+          <p>
+            Casting <strong>{pendingCast}</strong> ends concentration on{" "}
+            <strong>{concentration}</strong>.
+          </p>
+          <div className="flex justify-center gap-2 mt-1">
+            <button onClick={confirmCast} className="bg-purple-700 text-white px-2 py-0.5 rounded">
+              Cast
+            </button>
+            <button onClick={() => setPendingCast(null)} className="bg-gray-300 px-2 py-0.5 rounded">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <AutoInput
+        value=""
+        onChange={() => {}}
+        onAdd={addSpell}
+        localSuggestions={spellNamesForAutocomplete}
+        placeholder="Add a spell"
+      />
+
+      {groups.length === 0 ? (
+        <p className="text-xs italic text-gray-700 text-center mt-1">
+          {spellbook.length === 0 ? "No spells yet." : "No spells match these filters."}
+        </p>
+      ) : (
+        groups.map((group) => (
+          <div key={group.label} className="mt-1">
+            <p className="font-bold text-xs border-b border-gray-500">{group.label}</p>
+            <ul>
+              {group.spells.map((spell) => {
+                const entry = entries.get(spell.name);
+                const isCantrip = spell.level === 0;
+                return (
+                  <li key={spell.name} className="flex items-start gap-2 py-0.5">
+                    <label className="flex items-center gap-0.5 text-xs" title="Known">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(entry)}
+                        onChange={(e) => setKnown(spell.name, e.target.checked)}
+                      />
+                      K
+                    </label>
+                    <label className="flex items-center gap-0.5 text-xs" title="Prepared">
+                      <input
+                        type="checkbox"
+                        checked={isCantrip ? Boolean(entry) : Boolean(entry?.prepared)}
+                        disabled={!entry || isCantrip || (atLimit && !entry.prepared)}
+                        onChange={(e) => setPrepared(spell.name, e.target.checked)}
+                      />
+                      P
+                    </label>
+                    <div className="flex-1" title={spell.description}>
+                      <span className="font-semibold">{spell.name}</span>
+                      {spell.concentration && (
+                        <span className="ml-1 text-xs font-bold text-purple-800" title="Concentration">
+                          C
+                        </span>
+                      )}
+                      {spell.ritual && (
+                        <span className="ml-1 text-xs font-bold text-teal-800" title="Ritual">
+                          R
+                        </span>
+                      )}
+                      {spell.school && <p className="text-xs text-gray-700">{spellSummary(spell)}</p>}
+                    </div>
+                    {spell.concentration && entry && (
+                      <button
+                        onClick={() => cast(spell.name)}
+                        disabled={concentration === spell.name}
+                        title="Cast and start concentrating"
+                        className="text-xs bg-[#fff9e6] border border-gray-600 rounded px-1.5 hover:bg-yellow-200 disabled:bg-purple-200"
+                      >
+                        {concentration === spell.name ? "◎ Active" : "Cast"}
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))
+      )}
+      <p className="text-xs italic text-gray-700 text-center mt-1">
+        K known · P prepared · C concentration · R ritual
+      </p>
+    </div>
+  );
+}
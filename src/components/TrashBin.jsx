@@ -0,0 +1,114 @@
+import { useState } from "react";
+
+// ─────────────────────────────────────────────
+// Trash tab: deleted characters waiting to be restored or purged
+// ─────────────────────────────────────────────
+export default function TrashBin({ trash, onRestore, onPurge, onEmpty }) {
+  const [confirming, setConfirming] = useState(null); // id being purged, or "all"
+
+  if (trash.length === 0) {
+    return (
+      <p className="text-center text-gray-500 italic">
+        The trash is empty. Deleted characters will appear here.
+      </p>
+    );
+  }
+
+  return (
+    <fieldset className="border-2 border-black rounded-xl p-4">
+      <legend className="px-3 py-1 bg-yellow-400 font-[Cinzel] text-2xl border border-black rounded-md">
+        Trash
+      </legend>
+
+      <ul className="space-y-2">
+        {trash.map((c) => (
+          <li
+            key={c.id}
+            className="flex flex-wrap items-center justify-between gap-2 bg-[#fff9e6] border border-gray-600 rounded-md px-3 py-2"
+          >
+            <div>
+              <span className="font-bold">{c.name}</span>{" "}
+              <span className="text-sm text-gray-700">
+                {[c.race, c.class].filter(Boolean).join(" ")}
+                {c.stats?.level ? ` — Level ${c.stats.level}` : ""}
+              </span>
+              {c.deletedAt && (
+                <p className="text-xs italic text-gray-600">
+                  Deleted {new Date(c.deletedAt).toLocaleString()}
+                </p>
+              )}
+            </div>
+
+            {confirming === c.id ? (
+              <div className="flex items-center gap-2 text-sm">
+                <span className="font-semibold text-red-800">Delete forever?</span>
+                <button
+                  onClick={() => {
+                    onPurge(c.id);
+                    setConfirming(null);
+                  }}
+                  className="bg-[#b40000] text-white px-3 py-0.5 rounded hover:bg-[#d40000]"
+                >
+                  Yes
+                </button>
+                <button
+                  onClick={() => setConfirming(null)}
+                  className="bg-gray-300 text-black px-3 py-0.5 rounded hover:bg-gray-400"
+                >
+                  No
+                </button>
+              </div>
+            ) : (
+              <div className="flex gap-2 text-sm">
+                <button
+                  onClick={() => onRestore(c.id)}
+                  className="bg-green-700 text-white px-3 py-0.5 rounded hover:bg-green-800"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => setConfirming(c.id)}
+                  className="bg-[#b40000] text-white px-3 py-0.5 rounded hover:bg-[#d40000]"
+                >
+                  Delete Forever
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-4 flex justify-end gap-2 text-sm">
+        {confirming === "all" ? (
+          <>
+            <span className="self-center font-semibold text-red-800">
+              Permanently delete all {trash.length} characters?
+            </span>
+            <button
+              onClick={() => {
+                onEmpty();
+                setConfirming(null);
+              }}
+              className="bg-[#b40000] text-white px-3 py-1 rounded hover:bg-[#d40000]"
+            >
+              Yes, Empty Trash
+            </button>
+            <button
+              onClick={() => setConfirming(null)}
+              className="bg-gray-300 text-black px-3 py-1 rounded hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={() => setConfirming("all")}
+            className="bg-[#b40000] text-white px-3 py-1 rounded hover:bg-[#d40000]"
+          >
+            Empty Trash
+          </button>
+        )}
+      </div>
+    </fieldset>
+  );
+}
@@ -0,0 +1,174 @@
+// src/data/armorData.jsx
+// Local SRD armor data for the Armor slot: AC calculation and tooltips
+// without a network round trip.
+//
+// dexCap: null = add the full DEX modifier, 2 = medium armor cap, 0 = no DEX.
+// strMinimum: STR needed to avoid a 10 ft. speed penalty (0 = none).
+
+const gp = (n) => `${n} gp`;
+
+export const armorData = {
+  // ─────────────────────────────
+  // LIGHT ARMOR
+  // ─────────────────────────────
+  Padded: {
+    name: "Padded",
+    aliases: ["Padded Armor"],
+    kind: "Armor",
+    category: "Light Armor",
+    baseAC: 11,
+    dexCap: null,
+    strMinimum: 0,
+    stealthDisadvantage: true,
+    cost: gp(5),
+    weight: 8,
+    desc: ["Quilted layers of cloth and batting."],
+  },
+  Leather: {
+    name: "Leather",
+    aliases: ["Leather Armor"],
+    kind: "Armor",
+    category: "Light Armor",
+    baseAC: 11,
+    dexCap: null,
+    strMinimum: 0,
+    stealthDisadvantage: false,
+    cost: gp(10),
+    weight: 10,
+    desc: ["A breastplate and shoulder protectors of leather stiffened by boiling in oil."],
+  },
+  StuddedLeather: {
+    name: "Studded Leather",
+    aliases: ["Studded Leather Armor"],
+    kind: "Armor",
+    category: "Light Armor",
+    baseAC: 12,
+    dexCap: null,
+    strMinimum: 0,
+    stealthDisadvantage: false,
+    cost: gp(45),
+    weight: 13,
+    desc: ["Tough but flexible leather reinforced with close-set rivets or spikes."],
+  },
+
+  // ─────────────────────────────
+  // MEDIUM ARMOR
+  // ─────────────────────────────
+  Hide: {
+    name: "Hide",
+    aliases: ["Hide Armor"],
+    kind: "Armor",
+    category: "Medium Armor",
+    baseAC: 12,
+    dexCap: 2,
+    strMinimum: 0,
+    stealthDisadvantage: false,
+    cost: gp(10),
+    weight: 12,
+    desc: ["Crude armor of thick furs and pelts."],
+  },
+  ChainShirt: {
+    name: "Chain Shirt",
+    kind: "Armor",
+    category: "Medium Armor",
+    baseAC: 13,
+    dexCap: 2,
+    strMinimum: 0,
+    stealthDisadvantage: false,
+    cost: gp(50),
+    weight: 20,
+    desc: ["Interlocking metal rings worn between layers of clothing or leather."],
+  },
+  ScaleMail: {
+    name: "Scale Mail",
+    aliases: ["Scale"],
+    kind: "Armor",
+    category: "Medium Armor",
+    baseAC: 14,
+    dexCap: 2,
+    strMinimum: 0,
+    stealthDisadvantage: true,
+    cost: gp(50),
+    weight: 45,
+    desc: ["A coat and leggings of leather covered with overlapping pieces of metal."],
+  },
+  Breastplate: {
+    name: "Breastplate",
+    kind: "Armor",
+    category: "Medium Armor",
+    baseAC: 14,
+    dexCap: 2,
+    strMinimum: 0,
+    stealthDisadvantage: false,
+    cost: gp(400),
+    weight: 20,
+    desc: ["A fitted metal chest piece worn with supple leather."],
+  },
+  HalfPlate: {
+    name: "Half Plate",
+    aliases: ["Half-Plate", "Half Plate Armor"],
+    kind: "Armor",
+    category: "Medium Armor",
+    baseAC: 15,
+    dexCap: 2,
+    strMinimum: 0,
+    stealthDisadvantage: true,
+    cost: gp(750),
+    weight: 40,
+    desc: ["Shaped metal plates covering most of the body, with simple greaves."],
+  },
+
+  // ─────────────────────────────
+  // HEAVY ARMOR
+  // ─────────────────────────────
+  RingMail: {
+    name: "Ring Mail",
+    kind: "Armor",
+    category: "Heavy Armor",
+    baseAC: 14,
+    dexCap: 0,
+    strMinimum: 0,
+    stealthDisadvantage: true,
+    cost: gp(30),
+    weight: 40,
+    desc: ["Leather armor with heavy rings sewn into it."],
+  },
+  ChainMail: {
+    name: "Chain Mail",
+    kind: "Armor",
+    category: "Heavy Armor",
+    baseAC: 16,
+    dexCap: 0,
+    strMinimum: 13,
+    stealthDisadvantage: true,
+    cost: gp(75),
+    weight: 55,
+    desc: ["Interlocking metal rings over a layer of quilted fabric, with gauntlets."],
+  },
+  Splint: {
+    name: "Splint",
+    aliases: ["Splint Armor", "Splint Mail"],
+    kind: "Armor",
+    category: "Heavy Armor",
+    baseAC: 17,
+    dexCap: 0,
+    strMinimum: 15,
+    stealthDisadvantage: true,
+    cost: gp(200),
+    weight: 60,
+    desc: ["Narrow vertical strips of metal riveted to a backing of leather."],
+  },
+  Plate: {
+    name: "Plate",
+    aliases: ["Plate Armor", "Plate Mail", "Full Plate"],
+    kind: "Armor",
+    category: "Heavy Armor",
+    baseAC: 18,
+    dexCap: 0,
+    strMinimum: 15,
+    stealthDisadvantage: true,
+    cost: gp(1500),
+    weight: 65,
+    desc: ["Shaped, interlocking metal plates covering the entire body."],
+  },
+};
@@ -0,0 +1,168 @@
+// src/data/classData.jsx
+// Local SRD-style class data. Keys match the class names used in
+// classFeatureDescriptions ("... (Wizard Lv 2)").
+//
+// multiclassPrereqs: alternatives — meeting every score in ANY one entry
+// qualifies (Fighter needs STR 13 *or* DEX 13).
+//
+// armorProficiencies: "light" | "medium" | "heavy" | "shields".
+// weaponProficiencies: "simple" | "martial" categories, or weapon names.
+// multiclassProficiencies: the smaller set gained when multiclassing in.
+//
+// casterType: "full" | "half" | "artificer" (half, rounded up) | "pact" (Warlock).
+// subclassCasterType: third casters that get spellcasting from a subclass.
+// preparation: "prepared" casters pick from their list each day (limited by
+// ability modifier + level); "known" casters always have their known spells.
+
+export const classData = {
+  Artificer: {
+    hitDie: 8,
+    primaryAbilities: ["intelligence"],
+    savingThrows: ["constitution", "intelligence"],
+    multiclassPrereqs: [{ intelligence: 13 }],
+    armorProficiencies: ["light", "medium", "shields"],
+    weaponProficiencies: ["simple"],
+    multiclassProficiencies: { armor: ["light", "medium", "shields"], weapons: [] },
+    casterType: "artificer",
+    spellcastingAbility: "intelligence",
+    preparation: "prepared",
+  },
+  Barbarian: {
+    hitDie: 12,
+    primaryAbilities: ["strength"],
+    savingThrows: ["strength", "constitution"],
+    multiclassPrereqs: [{ strength: 13 }],
+    armorProficiencies: ["light", "medium", "shields"],
+    weaponProficiencies: ["simple", "martial"],
+    multiclassProficiencies: { armor: ["shields"], weapons: ["simple", "martial"] },
+  },
+  Bard: {
+    hitDie: 8,
+    primaryAbilities: ["charisma"],
+    savingThrows: ["dexterity", "charisma"],
+    multiclassPrereqs: [{ charisma: 13 }],
+    armorProficiencies: ["light"],
+    weaponProficiencies: ["simple", "Hand Crossbow", "Longsword", "Rapier", "Shortsword"],
+    multiclassProficiencies: { armor: ["light"], weapons: [] },
+    casterType: "full",
+    spellcastingAbility: "charisma",
+    preparation: "known",
+  },
+  Cleric: {
+    hitDie: 8,
+    primaryAbilities: ["wisdom"],
+    savingThrows: ["wisdom", "charisma"],
+    multiclassPrereqs: [{ wisdom: 13 }],
+    armorProficiencies: ["light", "medium", "shields"],
+    weaponProficiencies: ["simple"],
+    multiclassProficiencies: { armor: ["light", "medium", "shields"], weapons: [] },
+    casterType: "full",
+    spellcastingAbility: "wisdom",
+    preparation: "prepared",
+  },
+  Druid: {
+    hitDie: 8,
+    primaryAbilities: ["wisdom"],
+    savingThrows: ["intelligence", "wisdom"],
+    multiclassPrereqs: [{ wisdom: 13 }],
+    armorProficiencies: ["light", "medium", "shields"],
+    weaponProficiencies: ["Club", "Dagger", "Dart", "Javelin", "Mace", "Quarterstaff", "Scimitar", "Sickle", "Sling", "Spear"],
+    multiclassProficiencies: { armor: ["light", "medium", "shields"], weapons: [] },
+    casterType: "full",
+    spellcastingAbility: "wisdom",
+    preparation: "prepared",
+  },
+  Fighter: {
+    hitDie: 10,
+    primaryAbilities: ["strength", "dexterity"],
+    savingThrows: ["strength", "constitution"],
+    multiclassPrereqs: [{ strength: 13 }, { dexterity: 13 }],
+    armorProficiencies: ["light", "medium", "heavy", "shields"],
+    weaponProficiencies: ["simple", "martial"],
+    multiclassProficiencies: { armor: ["light", "medium", "shields"], weapons: ["simple", "martial"] },
+    subclassCasterType: { "Eldritch Knight": "third" },
+    spellcastingAbility: "intelligence",
+    preparation: "known",
+  },
+  Monk: {
+    hitDie: 8,
+    primaryAbilities: ["dexterity", "wisdom"],
+    savingThrows: ["strength", "dexterity"],
+    multiclassPrereqs: [{ dexterity: 13, wisdom: 13 }],
+    armorProficiencies: [],
+    weaponProficiencies: ["simple", "Shortsword"],
+    multiclassProficiencies: { armor: [], weapons: ["simple", "Shortsword"] },
+  },
+  Paladin: {
+    hitDie: 10,
+    primaryAbilities: ["strength", "charisma"],
+    savingThrows: ["wisdom", "charisma"],
+    multiclassPrereqs: [{ strength: 13, charisma: 13 }],
+    armorProficiencies: ["light", "medium", "heavy", "shields"],
+    weaponProficiencies: ["simple", "martial"],
+    multiclassProficiencies: { armor: ["light", "medium", "shields"], weapons: ["simple", "martial"] },
+    casterType: "half",
+    spellcastingAbility: "charisma",
+    preparation: "prepared",
+  },
+  Ranger: {
+    hitDie: 10,
+    primaryAbilities: ["dexterity", "wisdom"],
+    savingThrows: ["strength", "dexterity"],
+    multiclassPrereqs: [{ dexterity: 13, wisdom: 13 }],
+    armorProficiencies: ["light", "medium", "shields"],
+    weaponProficiencies: ["simple", "martial"],
+    multiclassProficiencies: { armor: ["light", "medium", "shields"], weapons: ["simple", "martial"] },
+    casterType: "half",
+    spellcastingAbility: "wisdom",
+    preparation: "known",
+  },
+  Rogue: {
+    hitDie: 8,
+    primaryAbilities: ["dexterity"],
+    savingThrows: ["dexterity", "intelligence"],
+    multiclassPrereqs: [{ dexterity: 13 }],
+    armorProficiencies: ["light"],
+    weaponProficiencies: ["simple", "Hand Crossbow", "Longsword", "Rapier", "Shortsword"],
+    multiclassProficiencies: { armor: ["light"], weapons: [] },
+    subclassCasterType: { "Arcane Trickster": "third" },
+    spellcastingAbility: "intelligence",
+    preparation: "known",
+  },
+  Sorcerer: {
+    hitDie: 6,
+    primaryAbilities: ["charisma"],
+    savingThrows: ["constitution", "charisma"],
+    multiclassPrereqs: [{ charisma: 13 }],
+    armorProficiencies: [],
+    weaponProficiencies: ["Dagger", "Dart", "Sling", "Quarterstaff", "Light Crossbow"],
+    multiclassProficiencies: { armor: [], weapons: [] },
+    casterType: "full",
+    spellcastingAbility: "charisma",
+    preparation: "known",
+  },
+  Warlock: {
+    hitDie: 8,
+    primaryAbilities: ["charisma"],
+    savingThrows: ["wisdom", "charisma"],
+    multiclassPrereqs: [{ charisma: 13 }],
+    armorProficiencies: ["light"],
+    weaponProficiencies: ["simple"],
+    multiclassProficiencies: { armor: ["light"], weapons: ["simple"] },
+    casterType: "pact",
+    spellcastingAbility: "charisma",
+    preparation: "known",
+  },
+  Wizard: {
+    hitDie: 6,
+    primaryAbilities: ["intelligence"],
+    savingThrows: ["intelligence", "wisdom"],
+    multiclassPrereqs: [{ intelligence: 13 }],
+    armorProficiencies: [],
+    weaponProficiencies: ["Dagger", "Dart", "Sling", "Quarterstaff", "Light Crossbow"],
+    multiclassProficiencies: { armor: [], weapons: [] },
+    casterType: "full",
+    spellcastingAbility: "intelligence",
+    preparation: "prepared",
+  },
+};
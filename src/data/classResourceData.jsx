@@ -0,0 +1,126 @@
+// src/data/classResourceData.jsx
+// Limited-use class features tracked as counters on the character card.
+//
+// level: class level the resource is gained at.
+// uses: { classLevel: count } — the count for the highest level reached.
+// perLevel: uses per class level (Ki, Sorcery Points, Lay on Hands HP).
+// ability: add this ability modifier; the total is always at least 1.
+// recharge: "short" | "long" | "dawn"; shortRestAt: class level from which
+// a long-rest resource comes back on a short rest instead.
+// feature: the classFeatureDescriptions key used for the tooltip.
+
+export const classResourceData = [
+  {
+    name: "Bardic Inspiration",
+    class: "Bard",
+    level: 1,
+    ability: "charisma",
+    recharge: "long",
+    shortRestAt: 5, // Font of Inspiration
+    feature: "Bardic Inspiration (Bard Lv 1)",
+  },
+  {
+    name: "Rage",
+    class: "Barbarian",
+    level: 1,
+    uses: { 1: 2, 3: 3, 6: 4, 12: 5, 17: 6, 20: Infinity },
+    recharge: "long",
+    feature: "Rage (Barbarian Lv 1)",
+  },
+  {
+    name: "Channel Divinity",
+    class: "Cleric",
+    level: 2,
+    uses: { 2: 1, 6: 2, 18: 3 },
+    recharge: "short",
+    feature: "Channel Divinity (Cleric Lv 2)",
+  },
+  {
+    name: "Wild Shape",
+    class: "Druid",
+    level: 2,
+    uses: { 2: 2, 20: Infinity },
+    recharge: "short",
+    feature: "Wild Shape (Druid Lv 2)",
+  },
+  {
+    name: "Second Wind",
+    class: "Fighter",
+    level: 1,
+    uses: { 1: 1 },
+    recharge: "short",
+    feature: "Second Wind (Fighter Lv 1)",
+  },
+  {
+    name: "Action Surge",
+    class: "Fighter",
+    level: 2,
+    uses: { 2: 1, 17: 2 },
+    recharge: "short",
+    feature: "Action Surge (Fighter Lv 2)",
+  },
+  {
+    name: "Indomitable",
+    class: "Fighter",
+    level: 9,
+    uses: { 9: 1, 13: 2, 17: 3 },
+    recharge: "long",
+    feature: "Indomitable (Fighter Lv 9)",
+  },
+  {
+    name: "Ki",
+    class: "Monk",
+    level: 2,
+    perLevel: 1,
+    recharge: "short",
+    feature: "Ki (Monk Lv 2)",
+  },
+  {
+    name: "Divine Sense",
+    class: "Paladin",
+    level: 1,
+    uses: { 1: 1 },
+    ability: "charisma",
+    recharge: "long",
+    feature: "Divine Sense (Paladin Lv 1)",
+  },
+  {
+    name: "Lay on Hands",
+    class: "Paladin",
+    level: 1,
+    perLevel: 5,
+    recharge: "long",
+  },
+  {
+    name: "Channel Divinity",
+    class: "Paladin",
+    level: 3,
+    uses: { 3: 1 },
+    recharge: "short",
+    feature: "Channel Divinity (Paladin Lv 3)",
+  },
+  {
+    name: "Sorcery Points",
+    class: "Sorcerer",
+    level: 2,
+    perLevel: 1,
+    recharge: "long",
+    feature: "Font Of Magic (Sorcerer Lv 2)",
+  },
+  {
+    name: "Arcane Recovery",
+    class: "Wizard",
+    level: 1,
+    uses: { 1: 1 },
+    recharge: "long",
+    feature: "Arcane Recovery (Wizard Lv 1)",
+  },
+  {
+    name: "Flash of Genius",
+    class: "Artificer",
+    level: 7,
+    ability: "intelligence",
+    recharge: "long",
+    feature: "Flash of Genius (Artificer Lv 7)",
+  },
+];
@@ -0,0 +1,138 @@
+// src/data/raceData.jsx
+// Local SRD race data: ability score increases, movement, senses,
+// languages and racial traits (shown as tooltips on the character card).
+
+export const raceData = {
+  Dragonborn: {
+    name: "Dragonborn",
+    abilityBonuses: { strength: 2, charisma: 1 },
+    speed: 30,
+    size: "Medium",
+    darkvision: 0,
+    languages: ["Common", "Draconic"],
+    traits: {
+      "Draconic Ancestry": "You have draconic ancestry. Choose one type of dragon; your breath weapon and damage resistance are determined by the dragon type.",
+      "Breath Weapon": "You can use your action to exhale destructive energy (shape and damage type by ancestry). Each creature in the area makes a saving throw (DC 8 + Con modifier + proficiency bonus), taking 2d6 damage on a failure or half on a success. Damage increases to 3d6 at 6th level, 4d6 at 11th, and 5d6 at 16th. Usable once per short or long rest.",
+      "Damage Resistance": "You have resistance to the damage type associated with your draconic ancestry.",
+    },
+  },
+  "Hill Dwarf": {
+    name: "Hill Dwarf",
+    aliases: ["Dwarf"],
+    abilityBonuses: { constitution: 2, wisdom: 1 },
+    speed: 25,
+    size: "Medium",
+    darkvision: 60,
+    languages: ["Common", "Dwarvish"],
+    traits: {
+      "Dwarven Resilience": "You have advantage on saving throws against poison, and you have resistance against poison damage.",
+      "Dwarven Combat Training": "You have proficiency with the battleaxe, handaxe, light hammer, and warhammer.",
+      "Tool Proficiency": "You gain proficiency with your choice of smith's tools, brewer's supplies, or mason's tools.",
+      Stonecunning: "Whenever you make an Intelligence (History) check related to the origin of stonework, you are considered proficient and add double your proficiency bonus.",
+      "Dwarven Toughness": "Your hit point maximum increases by 1, and it increases by 1 every time you gain a level.",
+      "Heavy Armor Speed": "Your speed is not reduced by wearing heavy armor.",
+    },
+  },
+  "High Elf": {
+    name: "High Elf",
+    aliases: ["Elf"],
+    abilityBonuses: { dexterity: 2, intelligence: 1 },
+    speed: 30,
+    size: "Medium",
+    darkvision: 60,
+    languages: ["Common", "Elvish", "One extra language of your choice"],
+    traits: {
+      "Keen Senses": "You have proficiency in the Perception skill.",
+      "Fey Ancestry": "You have advantage on saving throws against being charmed, and magic can't put you to sleep.",
+      Trance: "Elves don't need to sleep. Instead, they meditate deeply for 4 hours a day, gaining the same benefit a human does from 8 hours of sleep.",
+      "Elf Weapon Training": "You have proficiency with the longsword, shortsword, shortbow, and longbow.",
+      Cantrip: "You know one cantrip of your choice from the wizard spell list. Intelligence is your spellcasting ability for it.",
+    },
+  },
+  "Lightfoot Halfling": {
+    name: "Lightfoot Halfling",
+    aliases: ["Halfling"],
+    abilityBonuses: { dexterity: 2, charisma: 1 },
+    speed: 25,
+    size: "Small",
+    darkvision: 0,
+    languages: ["Common", "Halfling"],
+    traits: {
+      Lucky: "When you roll a 1 on the d20 for an attack roll, ability check, or saving throw, you can reroll the die and must use the new roll.",
+      Brave: "You have advantage on saving throws against being frightened.",
+      "Halfling Nimbleness": "You can move through the space of any creature that is of a size larger than yours.",
+      "Naturally Stealthy": "You can attempt to hide even when you are obscured only by a creature that is at least one size larger than you.",
+    },
+  },
+  Human: {
+    name: "Human",
+    abilityBonuses: {
+      strength: 1,
+      dexterity: 1,
+      constitution: 1,
+      intelligence: 1,
+      wisdom: 1,
+      charisma: 1,
+    },
+    speed: 30,
+    size: "Medium",
+    darkvision: 0,
+    languages: ["Common", "One extra language of your choice"],
+    traits: {
+      "Ability Score Increase": "Your ability scores each increase by 1.",
+    },
+  },
+  "Rock Gnome": {
+    name: "Rock Gnome",
+    aliases: ["Gnome"],
+    abilityBonuses: { intelligence: 2, constitution: 1 },
+    speed: 25,
+    size: "Small",
+    darkvision: 60,
+    languages: ["Common", "Gnomish"],
+    traits: {
+      "Gnome Cunning": "You have advantage on all Intelligence, Wisdom, and Charisma saving throws against magic.",
+      "Artificer's Lore": "Whenever you make an Intelligence (History) check related to magic items, alchemical objects, or technological devices, you can add twice your proficiency bonus.",
+      Tinker: "You have proficiency with artisan's tools (tinker's tools) and can spend 1 hour and 10 gp to construct a Tiny clockwork device (AC 5, 1 hp).",
+    },
+  },
+  "Half-Elf": {
+    name: "Half-Elf",
+    abilityBonuses: { charisma: 2 },
+    // Two other abilities of the player's choice each increase by 1
+    abilityChoices: { count: 2, amount: 1, exclude: ["charisma"] },
+    speed: 30,
+    size: "Medium",
+    darkvision: 60,
+    languages: ["Common", "Elvish", "One extra language of your choice"],
+    traits: {
+      "Fey Ancestry": "You have advantage on saving throws against being charmed, and magic can't put you to sleep.",
+      "Skill Versatility": "You gain proficiency in two skills of your choice.",
+    },
+  },
+  "Half-Orc": {
+    name: "Half-Orc",
+    abilityBonuses: { strength: 2, constitution: 1 },
+    speed: 30,
+    size: "Medium",
+    darkvision: 60,
+    languages: ["Common", "Orc"],
+    traits: {
+      Menacing: "You gain proficiency in the Intimidation skill.",
+      "Relentless Endurance": "When you are reduced to 0 hit points but not killed outright, you can drop to 1 hit point instead. You can't use this feature again until you finish a long rest.",
+      "Savage Attacks": "When you score a critical hit with a melee weapon attack, you can roll one of the weapon's damage dice one additional time and add it to the extra damage of the critical hit.",
+    },
+  },
+  Tiefling: {
+    name: "Tiefling",
+    abilityBonuses: { intelligence: 1, charisma: 2 },
+    speed: 30,
+    size: "Medium",
+    darkvision: 60,
+    languages: ["Common", "Infernal"],
+    traits: {
+      "Hellish Resistance": "You have resistance to fire damage.",
+      "Infernal Legacy": "You know the thaumaturgy cantrip. At 3rd level you can cast hellish rebuke as a 2nd-level spell once per long rest; at 5th level you can cast darkness once per long rest. Charisma is your spellcasting ability for these spells.",
+    },
+  },
+};
@@ -0,0 +1,55 @@
+// src/data/spellSlotData.jsx
+// SRD spell slot tables.
+
+export const MAX_SPELL_LEVEL = 9;
+
+// Spell slots per spell level (1st, 2nd, …) for a full caster of each
+// level 1–20. Half and third casters, and multiclass characters, read this
+// table at their effective caster level.
+export const FULL_CASTER_SLOTS = [
+  [2],
+  [3],
+  [4, 2],
+  [4, 3],
+  [4, 3, 2],
+  [4, 3, 3],
+  [4, 3, 3, 1],
+  [4, 3, 3, 2],
+  [4, 3, 3, 3, 1],
+  [4, 3, 3, 3, 2],
+  [4, 3, 3, 3, 2, 1],
+  [4, 3, 3, 3, 2, 1],
+  [4, 3, 3, 3, 2, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1, 1],
+  [4, 3, 3, 3, 3, 1, 1, 1, 1],
+  [4, 3, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 3, 2, 2, 1, 1],
+];
+
+// Warlock Pact Magic by Warlock level 1–20: { slots, level } — every pact
+// slot is cast at the same level and they come back on a short rest.
+export const PACT_MAGIC_SLOTS = [
+  { slots: 1, level: 1 },
+  { slots: 2, level: 1 },
+  { slots: 2, level: 2 },
+  { slots: 2, level: 2 },
+  { slots: 2, level: 3 },
+  { slots: 2, level: 3 },
+  { slots: 2, level: 4 },
+  { slots: 2, level: 4 },
+  { slots: 2, level: 5 },
+  { slots: 2, level: 5 },
+  { slots: 3, level: 5 },
+  { slots: 3, level: 5 },
+  { slots: 3, level: 5 },
+  { slots: 3, level: 5 },
+  { slots: 3, level: 5 },
+  { slots: 3, level: 5 },
+  { slots: 4, level: 5 },
+  { slots: 4, level: 5 },
+  { slots: 4, level: 5 },
+  { slots: 4, level: 5 },
+];
@@ -0,0 +1,74 @@
+import { useState } from "react";
+
+// How many snapshots to keep per character
+const HISTORY_LIMIT = 100;
+
+const EMPTY = { past: [], future: [], revision: 0 };
+
+/**
+ * Undo/redo stacks of character snapshots, kept per character id.
+ * Lives in App (not CharacterCard) so history survives switching tabs.
+ *
+ * `revision` bumps on every undo/redo; use it in the card's key so the
+ * card re-reads the restored character instead of keeping its local state.
+ */
+export function useCharacterHistory() {
+  const [history, setHistory] = useState({});
+
+  const get = (id) => history[id] || EMPTY;
+
+  /** Remember `snapshot` (the character before an edit) and clear redo */
+  const record = (id, snapshot) =>
+    setHistory((prev) => {
+      const h = prev[id] || EMPTY;
+      return {
+        ...prev,
+        [id]: {
+          ...h,
+          past: [...h.past, snapshot].slice(-HISTORY_LIMIT),
+          future: [],
+        },
+      };
+    });
+
+  /** Step back: returns the snapshot to restore, or null if there is none */
+  const undo = (id, current) => {
+    const h = get(id);
+    if (h.past.length === 0) return null;
+    const snapshot = h.past[h.past.length - 1];
+    setHistory((prev) => ({
+      ...prev,
+      [id]: {
+        past: h.past.slice(0, -1),
+        future: [current, ...h.future],
+        revision: h.revision + 1,
+      },
+    }));
+    return snapshot;
+  };
+
+  /** Step forward again after an undo */
+  const redo = (id, current) => {
+    const h = get(id);
+    if (h.future.length === 0) return null;
+    const [snapshot, ...rest] = h.future;
+    setHistory((prev) => ({
+      ...prev,
+      [id]: {
+        past: [...h.past, current].slice(-HISTORY_LIMIT),
+        future: rest,
+        revision: h.revision + 1,
+      },
+    }));
+    return snapshot;
+  };
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: (id) => get(id).past.length > 0,
+    canRedo: (id) => get(id).future.length > 0,
+    revision: (id) => get(id).revision,
+  };
+}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from "react";
 import { spellDescriptions } from "../data/spellDescriptions";
 import { weaponShieldData } from "../data/weaponShieldData";
+import { armorData } from "../data/armorData";
 
 // Helper to find a weapon/shield by name, including aliases
 function findWeaponShield(name) {
@@ -32,6 +33,19 @@ function findWeaponShield(name) {
   return null;
 }
 
+// Helper to find SRD armor by name or alias, ignoring case
+function findArmor(name) {
+  if (!name) return null;
+  const wanted = name.trim().toLowerCase();
+  return (
+    Object.values(armorData).find(
+      (item) =>
+        item.name.toLowerCase() === wanted ||
+        item.aliases?.some((alias) => alias.toLowerCase() === wanted)
+    ) || null
+  );
+}
+
 const API_BASE = "https://www.dnd5eapi.co/api";
 
 // Module-level cache for endpoint index lists to avoid repeated network calls
@@ -231,14 +245,14 @@ export function useDnDAPI(endpoint, name) {
 
 /** Specialized hooks */
 export function useEquipmentInfo(name) {
-  // First, try to find the item in the local weapon/shield data
-  const localItem = findWeaponShield(name);
+  // First, try to find the item in the local armor and weapon/shield data
+  const localItem = findArmor(name) || findWeaponShield(name);
 
-  // Always call the API hook to ensure hooks are not called conditionally.
-  const api = useDnDAPI("equipment", name);
+  // Always call the API hook to ensure hooks are not called conditionally;
+  // a null name skips the fetch when the local data already has the item.
+  const api = useDnDAPI("equipment", localItem ? null : name);
 
   // If a local item is found, we can return it immediately.
-  // The API call will still run in the background, but we won't use its result.
   if (localItem) {
     return { data: localItem, loading: false, error: null };
   }
@@ -250,6 +264,12 @@ export const useFeatInfo = (name) => useDnDAPI("feats", name);
 export const useSpellInfo = (name) => useDnDAPI("spells", name);
 export const useFeatureInfo = (name) => useDnDAPI("features", name);
 
+// "14 + Dex modifier (max 2)" style AC summary for local armor
+const formatArmorAC = ({ baseAC, dexCap }) =>
+  dexCap === 0
+    ? `${baseAC}`
+    : `${baseAC} + Dex modifier${dexCap ? ` (max ${dexCap})` : ""}`;
+
 /** Tooltip rendering helper */
 export function getTooltipContent({ loading, data, error }) {
   if (loading)
@@ -270,12 +290,15 @@ export function getTooltipContent({ loading, data, error }) {
   if (error) return <p><em>Error: {error}</em></p>;
   if (!data) return <p><em>No data found.</em></p>;
 
-  // Render local weapon/shield data
-  if (data.kind === "Weapon" || data.kind === "Shield") {
+  // Render local armor/weapon/shield data
+  if (data.kind === "Weapon" || data.kind === "Shield" || data.kind === "Armor") {
     const fields = {
       Category: data.category,
       Damage: data.damage,
       "AC Bonus": data.acBonus,
+      "Base AC": data.baseAC && formatArmorAC(data),
+      "Strength Requirement": data.strMinimum,
+      Stealth: data.stealthDisadvantage && "Disadvantage on Stealth checks",
       Properties: data.properties?.join(', '),
       Cost: data.cost,
       Weight: data.weight ? `${data.weight} lb.` : null,
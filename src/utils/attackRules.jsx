@@ -0,0 +1,138 @@
+// src/utils/attackRules.jsx
+// Weapon attack lines: attack ability, to-hit bonus and damage for the
+// weapons in the Main-Hand and Off-Hand slots (local SRD data or API data).
+
+import { getModifier, formatModifier, getProficiencyBonus } from "./dndRules";
+import { getDamageDice } from "./dice";
+import { getWeaponCategory } from "./equipmentRules";
+
+/** Damage string for local or API weapon data, e.g. "1d8 slashing" (null if none) */
+export function getWeaponDamage(data) {
+  if (typeof data?.damage === "string") return data.damage;
+  if (data?.damage?.damage_dice) {
+    return `${data.damage.damage_dice} ${data.damage.damage_type?.name?.toLowerCase() || ""}`.trim();
+  }
+  return null;
+}
+
+/** Local data says kind "Weapon"; API data has a weapon category */
+const isWeapon = (data) =>
+  data.kind === "Weapon" ||
+  (data.kind !== "Shield" &&
+    (data.equipment_category?.index === "weapon" || Boolean(data.weapon_category)));
+
+/**
+ * Common shape for local and API weapon data:
+ * { name, category, ranged, properties (lower-case names), damage, flatDamage,
+ *   damageType, versatile }. `damage` is the dice ("1d8") and `flatDamage` a
+ * fixed amount for weapons without dice (the Blowgun's 1); either may be null.
+ * Returns null for anything that isn't a weapon (e.g. a shield).
+ */
+export function getWeaponProfile(data) {
+  if (!data || !isWeapon(data)) return null;
+  const damageText = getWeaponDamage(data) || "";
+  const damage = getDamageDice(damageText);
+  const flat = damage ? null : damageText.match(/^\d+/)?.[0];
+
+  const properties = (data.properties || []).map((p) =>
+    (typeof p === "string" ? p : p.name || "").toLowerCase()
+  );
+  const category = data.category || data.category_range || "";
+  const versatile =
+    data.versatile ||
+    data.two_handed_damage?.damage_dice ||
+    properties.map((p) => p.match(/^versatile \((.+)\)$/)?.[1]).find(Boolean) ||
+    null;
+
+  return {
+    name: data.name,
+    category: getWeaponCategory(data),
+    ranged: /ranged/i.test(category) || data.weapon_range === "Ranged",
+    properties,
+    damage,
+    flatDamage: flat ? Number(flat) : null,
+    damageType: damageText.match(/[a-z]+$/i)?.[0] || "",
+    versatile,
+  };
+}
+
+const hasProperty = (weapon, name) => weapon.properties.some((p) => p.startsWith(name));
+
+/** Dice plus a flat modifier: ("1d8", 3) → "1d8+3", ("1d6", 0) → "1d6" */
+export const withModifier = (dice, mod) => (mod ? `${dice}${formatModifier(mod)}` : dice);
+
+/** Ranged weapons use DEX, finesse weapons the better of STR/DEX, everything else STR */
+export function getAttackAbility(weapon, stats) {
+  if (weapon.ranged) return "dexterity";
+  if (hasProperty(weapon, "finesse")) {
+    return getModifier(stats.dexterity) > getModifier(stats.strength) ? "dexterity" : "strength";
+  }
+  return "strength";
+}
+
+/**
+ * Attack lines for the equipped weapons. `proficient(weapon)` decides whether
+ * the proficiency bonus applies (defaults to always); `disadvantage` marks
+ * attack rolls made at disadvantage (e.g. untrained armor).
+ * Each line: { slot, name, ability, toHit, disadvantage, damage, damageRoll, damageType,
+ * versatile, notes }; `damageRoll` is false when `damage` is a fixed number (or null).
+ * Off-hand attacks follow the two-weapon fighting rules: both weapons must be
+ * light melee weapons, and the off-hand doesn't add a positive ability modifier.
+ */
+export function getAttacks({
+  mainHand,
+  offHand,
+  stats,
+  proficient = () => true,
+  disadvantage = false,
+}) {
+  const main = getWeaponProfile(mainHand);
+  const off = getWeaponProfile(offHand);
+  const prof = getProficiencyBonus(stats.level);
+
+  const line = (weapon, slot, isOffHand) => {
+    const ability = getAttackAbility(weapon, stats);
+    const mod = getModifier(stats[ability]);
+    const isProficient = proficient(weapon);
+    const damageMod = isOffHand ? Math.min(mod, 0) : mod;
+    const notes = [];
+
+    if (!isProficient) notes.push("Not proficient");
+    if (disadvantage) notes.push("Disadvantage (untrained armor or shield)");
+    if (isOffHand) {
+      const light = (w) => w && !w.ranged && hasProperty(w, "light");
+      notes.push(
+        light(main) && light(weapon)
+          ? "Bonus action (two-weapon fighting)"
+          : "Two-weapon fighting needs light melee weapons in both hands"
+      );
+    }
+    if (!isOffHand && hasProperty(weapon, "two-handed") && offHand) {
+      notes.push("Needs both hands");
+    }
+
+    // Versatile damage only when the other hand is free
+    const twoHanded = !isOffHand && weapon.versatile && !offHand;
+    return {
+      slot,
+      name: weapon.name,
+      ability,
+      toHit: mod + (isProficient ? prof : 0),
+      disadvantage,
+      damage: weapon.damage
+        ? withModifier(weapon.damage, damageMod)
+        : weapon.flatDamage !== null
+          ? String(Math.max(0, weapon.flatDamage + damageMod))
+          : null,
+      damageRoll: Boolean(weapon.damage),
+      damageType: weapon.damageType,
+      versatile: twoHanded ? withModifier(weapon.versatile, damageMod) : null,
+      notes,
+    };
+  };
+
+  return [
+    main && line(main, "Main-Hand", false),
+    off && line(off, "Off-Hand", Boolean(main)),
+  ].filter(Boolean);
+}
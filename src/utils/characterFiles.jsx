@@ -0,0 +1,217 @@
+// src/utils/characterFiles.jsx
+// Party backup files: download the whole party as JSON and read it back in.
+// Files carry the storage schema version so older exports go through the
+// same migrations as old localStorage saves.
+
+import { SCHEMA_VERSION, upgradeSave } from "./characterStorage";
+import { createCharacterId } from "./characterId";
+
+export const PARTY_FILE_TYPE = "dnd-party-tracker/party";
+export const CHARACTER_FILE_TYPE = "dnd-party-tracker/character";
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/** Trigger a browser download of `data` as pretty-printed JSON */
+export function downloadJSON(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/** Read a File picked by an <input type="file"> and parse it as JSON */
+export function readJSONFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        resolve(JSON.parse(e.target.result));
+      } catch {
+        reject(new Error(`"${file.name}" is not a valid JSON file.`));
+      }
+    };
+    reader.onerror = () => reject(new Error(`Could not read "${file.name}".`));
+    reader.readAsText(file);
+  });
+}
+
+// Turn a name into something safe for a filename
+const fileSafe = (str) =>
+  String(str || "")
+    .trim()
+    .replace(/[^a-z0-9_-]+/gi, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase() || "character";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// ─────────────────────────────────────────────
+// Whole party
+// ─────────────────────────────────────────────
+export function exportParty(characters) {
+  downloadJSON(`party-${today()}.json`, {
+    type: PARTY_FILE_TYPE,
+    version: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    characters,
+  });
+}
+
+/** Validate a parsed party file and return its characters at the current schema */
+export function parsePartyFile(data) {
+  if (!data || typeof data !== "object" || data.type !== PARTY_FILE_TYPE) {
+    throw new Error("This file is not a D&D Party Tracker party export.");
+  }
+  if (!Array.isArray(data.characters)) {
+    throw new Error("The party file does not contain a character list.");
+  }
+  // Blank names are allowed: the app lets a character be saved without one
+  if (
+    data.characters.some(
+      (c) => !isPlainObject(c) || (c.name !== undefined && typeof c.name !== "string")
+    )
+  ) {
+    throw new Error("Every entry in the party file must be a character.");
+  }
+  return upgradeSave({ version: data.version, characters: data.characters });
+}
+
+/** Return `name`, or "name (2)", "name (3)"... — whichever isn't in `taken` */
+export function uniqueName(name, taken) {
+  const lower = new Set([...taken].map((n) => n.toLowerCase()));
+  if (!lower.has(name.toLowerCase())) return name;
+  let n = 2;
+  while (lower.has(`${name} (${n})`.toLowerCase())) n++;
+  return `${name} (${n})`;
+}
+
+/**
+ * Add `incoming` characters to `existing` without clobbering anyone.
+ * Clashing names get a numbered suffix and clashing ids are regenerated.
+ * Returns { characters, renamed: [{ from, to }] }.
+ */
+export function mergeParty(existing, incoming) {
+  const takenNames = new Set(existing.map((c) => c.name));
+  const takenIds = new Set(existing.map((c) => c.id));
+  const renamed = [];
+
+  const added = incoming.map((char) => {
+    const name = uniqueName(char.name, takenNames);
+    const id = takenIds.has(char.id) ? createCharacterId() : char.id;
+    if (name !== char.name) renamed.push({ from: char.name, to: name });
+    takenNames.add(name);
+    takenIds.add(id);
+    return { ...char, id, name };
+  });
+
+  return { characters: [...existing, ...added], renamed };
+}
+
+// ─────────────────────────────────────────────
+// Single character (for handing a character to another table)
+// ─────────────────────────────────────────────
+export function exportCharacter(character) {
+  // The id is local to this browser; the importer always assigns a fresh one
+  const portable = { ...character };
+  delete portable.id;
+  downloadJSON(`${fileSafe(character.name)}.json`, {
+    type: CHARACTER_FILE_TYPE,
+    version: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    character: portable,
+  });
+}
+
+// A blank name is fine: the card lets a character be saved without one
+const TEXT_FIELDS = [
+  "name",
+  "race",
+  "class",
+  "subClass",
+  "alignment",
+  "deity",
+  "specialAbility",
+  "familiar",
+  "bio",
+];
+const LIST_FIELDS = ["feats", "skillsSpells", "inventory"];
+
+/** Check a character against the shape CharacterForm produces; returns a list of problems */
+export function validateCharacterShape(char) {
+  if (!isPlainObject(char)) return ["The file does not contain a character."];
+
+  const problems = [];
+  if (!isPlainObject(char.stats)) {
+    problems.push("Character has no stats.");
+  } else {
+    Object.entries(char.stats).forEach(([key, val]) => {
+      if (typeof val !== "number" || Number.isNaN(val)) {
+        problems.push(`Stat "${key}" is not a number.`);
+      }
+    });
+  }
+  TEXT_FIELDS.forEach((field) => {
+    if (char[field] !== undefined && typeof char[field] !== "string") {
+      problems.push(`"${field}" must be text.`);
+    }
+  });
+  LIST_FIELDS.forEach((field) => {
+    const list = char[field];
+    if (list !== undefined && (!Array.isArray(list) || list.some((x) => typeof x !== "string"))) {
+      problems.push(`"${field}" must be a list of names.`);
+    }
+  });
+  if (
+    char.classLevels !== undefined &&
+    (!Array.isArray(char.classLevels) ||
+      char.classLevels.some(
+        (c) =>
+          !isPlainObject(c) ||
+          typeof c.class !== "string" ||
+          typeof c.subClass !== "string" ||
+          typeof c.level !== "number"
+      ))
+  ) {
+    problems.push(`"classLevels" must be a list of { class, subClass, level }.`);
+  }
+  if (
+    char.equipment !== undefined &&
+    (!isPlainObject(char.equipment) ||
+      Object.values(char.equipment).some((item) => typeof item !== "string"))
+  ) {
+    problems.push(`"equipment" must be an object of slots holding item names.`);
+  }
+  if (
+    char.spellbook !== undefined &&
+    (!Array.isArray(char.spellbook) ||
+      char.spellbook.some(
+        (s) => !isPlainObject(s) || typeof s.name !== "string" || typeof s.prepared !== "boolean"
+      ))
+  ) {
+    problems.push(`"spellbook" must be a list of { name, prepared }.`);
+  }
+  if (char.picture && !/^data:image\//.test(char.picture)) {
+    problems.push("Picture must be an embedded image (data URL).");
+  }
+  return problems;
+}
+
+/** Validate a parsed character file and return the character at the current schema */
+export function parseCharacterFile(data) {
+  if (!isPlainObject(data) || data.type !== CHARACTER_FILE_TYPE) {
+    throw new Error("This file is not a D&D Party Tracker character export.");
+  }
+  const problems = validateCharacterShape(data.character);
+  if (problems.length > 0) {
+    throw new Error(`Invalid character file: ${problems.join(" ")}`);
+  }
+  const [character] = upgradeSave({ version: data.version, characters: [data.character] });
+  return { ...character, id: createCharacterId() };
+}
@@ -0,0 +1,10 @@
+// src/utils/characterId.jsx
+// Stable identity for characters, so names can repeat and be renamed freely.
+
+export function createCharacterId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  // Fallback for older browsers / non-secure contexts
+  return `char-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,208 @@
+// src/utils/characterStorage.jsx
+// Versioned localStorage format for the party.
+// Saves are stored as { version, characters } and upgraded step by step
+// through `migrations` so old browsers never load a shape the app doesn't know.
+
+import { createCharacterId } from "./characterId";
+import { clampLevel } from "./dndRules";
+import { DEFAULT_DEATH_SAVES } from "./hpRules";
+import { getSpellData } from "./spellRules";
+
+export const STORAGE_KEY = "characters";
+export const TRASH_KEY = "characters-trash";
+// Unreadable saves are copied to `${key}${BACKUP_SUFFIX}` before being reset
+export const BACKUP_SUFFIX = "-corrupt-backup";
+
+// Stats every character is expected to have (used to repair broken saves)
+export const DEFAULT_STATS = {
+  level: 1,
+  maxHP: 10,
+  currentHP: 10,
+  tempHP: 0,
+  strength: 3,
+  dexterity: 3,
+  constitution: 3,
+  intelligence: 3,
+  wisdom: 3,
+  charisma: 3,
+};
+
+// A single-class character's class list, from its class/subClass/level fields
+const defaultClassLevels = (char) => [
+  {
+    class: typeof char.class === "string" ? char.class : "",
+    subClass: typeof char.subClass === "string" ? char.subClass : "",
+    level: clampLevel(char.stats?.level),
+  },
+];
+
+// ─────────────────────────────────────────────
+// Migrations — migrations[n] upgrades version n to version n + 1.
+// Append new steps to the end; never edit or reorder existing ones.
+// ─────────────────────────────────────────────
+const migrations = [
+  // v0 → v1: remove the retired 'head' and 'trinket' equipment slots
+  (characters) =>
+    characters.map((char) => {
+      if (!char.equipment) return char;
+      const equipment = { ...char.equipment };
+      delete equipment.head;
+      delete equipment.trinket;
+      return { ...char, equipment };
+    }),
+
+  // v1 → v2: give characters saved before IDs existed a stable identity
+  (characters) =>
+    characters.map((char) => (char.id ? char : { ...char, id: createCharacterId() })),
+
+  // v2 → v3: levels used to be allowed to drop to 0; keep them within 1–20
+  (characters) =>
+    characters.map((char) =>
+      char.stats ? { ...char, stats: { ...char.stats, level: clampLevel(char.stats.level) } } : char
+    ),
+
+  // v3 → v4: multiclassing — class/subClass/level become a list of class levels
+  (characters) =>
+    characters.map((char) =>
+      Array.isArray(char.classLevels) ? char : { ...char, classLevels: defaultClassLevels(char) }
+    ),
+
+  // v4 → v5: spells move from the mixed skills/spells list into a spellbook
+  // of { name, prepared }; anything that isn't a known spell stays put
+  (characters) =>
+    characters.map((char) => {
+      if (Array.isArray(char.spellbook) || !Array.isArray(char.skillsSpells)) return char;
+      const spells = char.skillsSpells.filter((name) => getSpellData(name));
+      return {
+        ...char,
+        skillsSpells: char.skillsSpells.filter((name) => !getSpellData(name)),
+        spellbook: spells.map((name) => ({ name: getSpellData(name).name, prepared: true })),
+      };
+    }),
+];
+
+export const SCHEMA_VERSION = migrations.length;
+
+/** Run every migration between `fromVersion` and the current schema */
+export function migrateCharacters(characters, fromVersion = 0) {
+  return migrations
+    .slice(fromVersion)
+    .reduce((chars, migrate) => migrate(chars), characters);
+}
+
+// Text details every character carries (matches CharacterForm's fields)
+const DEFAULT_DETAILS = {
+  name: "",
+  race: "",
+  class: "",
+  subClass: "",
+  alignment: "",
+  deity: "",
+  specialAbility: "",
+  familiar: "None",
+  bio: "",
+  picture: "",
+};
+
+const textOr = (val, fallback) => (typeof val === "string" ? val : fallback);
+
+/**
+ * Fill in anything a character needs to render safely. Also gives every
+ * character the full set of fields CharacterCard saves, so opening a card
+ * doesn't register as an edit.
+ */
+export function normalizeCharacter(char) {
+  const details = Object.fromEntries(
+    Object.entries(DEFAULT_DETAILS).map(([key, fallback]) => [key, textOr(char[key], fallback)])
+  );
+  return {
+    ...char,
+    ...details,
+    id: char.id || createCharacterId(),
+    stats: { ...DEFAULT_STATS, ...(char.stats && typeof char.stats === "object" ? char.stats : {}) },
+    equipment: char.equipment && typeof char.equipment === "object" ? char.equipment : {},
+    feats: Array.isArray(char.feats) ? char.feats : [],
+    skillsSpells: Array.isArray(char.skillsSpells) ? char.skillsSpells : [],
+    inventory: Array.isArray(char.inventory) ? char.inventory : [],
+    skillProficiencies: char.skillProficiencies && typeof char.skillProficiencies === "object"
+      ? char.skillProficiencies
+      : {},
+    classLevels: Array.isArray(char.classLevels) && char.classLevels.length > 0
+      ? char.classLevels
+      : defaultClassLevels(char),
+    raceChoices: Array.isArray(char.raceChoices) ? char.raceChoices : [],
+    raceBonuses: char.raceBonuses && typeof char.raceBonuses === "object" ? char.raceBonuses : {},
+    // null = use the class's default saving throw proficiencies
+    saveProficiencies: Array.isArray(char.saveProficiencies) ? char.saveProficiencies : null,
+    // null = use the class's default armor and weapon proficiencies
+    equipmentProficiencies:
+      Array.isArray(char.equipmentProficiencies?.armor) &&
+      Array.isArray(char.equipmentProficiencies?.weapons)
+        ? char.equipmentProficiencies
+        : null,
+    spellbook: Array.isArray(char.spellbook) ? char.spellbook : [],
+    spellSlotsUsed: Array.isArray(char.spellSlotsUsed) ? char.spellSlotsUsed : [],
+    pactSlotsUsed: Number.isInteger(char.pactSlotsUsed) ? char.pactSlotsUsed : 0,
+    classResources:
+      char.classResources && typeof char.classResources === "object" && !Array.isArray(char.classResources)
+        ? char.classResources
+        : {},
+    concentration: typeof char.concentration === "string" && char.concentration ? char.concentration : null,
+    deathSaves: {
+      ...DEFAULT_DEATH_SAVES,
+      ...(char.deathSaves && typeof char.deathSaves === "object" ? char.deathSaves : {}),
+    },
+  };
+}
+
+/**
+ * Accepts either a versioned save ({ version, characters }) or the legacy
+ * bare array, and returns the characters upgraded to the current schema.
+ * Throws if the data isn't recognisable as a party at all.
+ */
+export function upgradeSave(data) {
+  let version = 0;
+  let characters = data;
+
+  if (data && !Array.isArray(data) && typeof data === "object") {
+    version = Number.isInteger(data.version) ? data.version : 0;
+    characters = data.characters;
+  }
+
+  if (!Array.isArray(characters)) {
+    throw new Error("Saved data does not contain a character list.");
+  }
+  if (version > SCHEMA_VERSION) {
+    console.warn(
+      `[characterStorage] save is version ${version}, newer than supported ${SCHEMA_VERSION}; loading as-is`
+    );
+  }
+
+  const valid = characters.filter((c) => c && typeof c === "object" && !Array.isArray(c));
+  return migrateCharacters(valid, Math.min(version, SCHEMA_VERSION)).map(normalizeCharacter);
+}
+
+/**
+ * Load characters from localStorage, recovering from corrupted saves.
+ * The trash bin uses the same format under TRASH_KEY.
+ */
+export function loadCharacters(key = STORAGE_KEY) {
+  const saved = localStorage.getItem(key);
+  if (!saved) return [];
+
+  try {
+    return upgradeSave(JSON.parse(saved));
+  } catch (err) {
+    // Keep the unreadable data around so it can be recovered by hand
+    console.error(`[characterStorage] could not load "${key}":`, err);
+    localStorage.setItem(`${key}${BACKUP_SUFFIX}`, saved);
+    return [];
+  }
+}
+
+export function saveCharacters(characters, key = STORAGE_KEY) {
+  localStorage.setItem(
+    key,
+    JSON.stringify({ version: SCHEMA_VERSION, characters })
+  );
+}
@@ -0,0 +1,234 @@
+// src/utils/classRules.jsx
+// Lookups against the local class dataset.
+
+import { classData } from "../data/classData";
+import { classFeatureDescriptions } from "../data/classFeatureDescriptions";
+import { classResourceData } from "../data/classResourceData";
+import { ABILITY_ABBR, getModifier } from "./dndRules";
+
+/** Find a class by name (case-insensitive); returns { name, ...data } or null */
+export function getClassData(name) {
+  if (!name) return null;
+  const key = Object.keys(classData).find(
+    (k) => k.toLowerCase() === String(name).trim().toLowerCase()
+  );
+  return key ? { name: key, ...classData[key] } : null;
+}
+
+/** Saving throw proficiencies a class grants by default */
+export const getClassSavingThrows = (className) =>
+  getClassData(className)?.savingThrows || [];
+
+// ─────────────────────────────────────────────
+// Multiclassing — a character's classes are a list of
+// { class, subClass, level }; the first entry is the primary class.
+// ─────────────────────────────────────────────
+
+/** Total character level across all classes (at least 1) */
+export const getTotalLevel = (classLevels = []) =>
+  Math.max(1, classLevels.reduce((sum, c) => sum + (c.level || 0), 0));
+
+/** "Paladin 2 / Warlock 3" */
+export const formatClassLevels = (classLevels = []) =>
+  classLevels
+    .filter((c) => c.class)
+    .map((c) => `${c.class} ${c.level}`)
+    .join(" / ");
+
+/**
+ * Unmet multiclass ability requirements for one class, e.g. ["STR 13", "CHA 13"].
+ * Unknown (homebrew) classes have no requirements.
+ */
+export function getUnmetPrereqs(className, stats) {
+  const alternatives = getClassData(className)?.multiclassPrereqs;
+  if (!alternatives) return [];
+  const unmet = alternatives.map((req) =>
+    Object.entries(req)
+      .filter(([ability, min]) => (stats[ability] || 0) < min)
+      .map(([ability, min]) => `${ABILITY_ABBR[ability]} ${min}`)
+  );
+  if (unmet.some((list) => list.length === 0)) return [];
+  // Report the closest alternative, joined with "or" when there are several
+  return alternatives.length > 1 ? [unmet.map((l) => l.join(" + ")).join(" or ")] : unmet[0];
+}
+
+/**
+ * Problems with taking a first level in `newClass`: the character must meet
+ * the requirements of the new class AND of every class they already have.
+ */
+export function getMulticlassProblems(newClass, classLevels, stats) {
+  const problems = [];
+  const check = (name) => {
+    const unmet = getUnmetPrereqs(name, stats);
+    if (unmet.length > 0) problems.push(`${name} needs ${unmet.join(", ")}`);
+  };
+  check(newClass);
+  classLevels.filter((c) => c.class).forEach((c) => check(c.class));
+  return problems;
+}
+
+// Hit die used when the class isn't in the dataset (homebrew etc.)
+export const DEFAULT_HIT_DIE = 8;
+
+export const getHitDie = (className) =>
+  getClassData(className)?.hitDie || DEFAULT_HIT_DIE;
+
+/** Fixed HP per level after 1st: the hit die's average, rounded up */
+export const getAverageHitDieRoll = (hitDie) => hitDie / 2 + 1;
+
+/** 1st-level HP: maximum hit die + CON modifier (never below 1) */
+export const getStartingHP = (className, conMod) =>
+  Math.max(1, getHitDie(className) + conMod);
+
+/** HP gained on a level-up from a hit die result (never below 1) */
+export const getLevelUpHP = (hitDieResult, conMod) =>
+  Math.max(1, hitDieResult + conMod);
+
+// ─────────────────────────────────────────────
+// Class features (keys like "Name — Subclass (Class Lv N)")
+// ─────────────────────────────────────────────
+const FEATURE_KEY = /^(.+?)(?: — (.+))? \(([A-Za-z]+) Lv (\d+)\)$/;
+
+const simplify = (str) => String(str || "").trim().toLowerCase();
+
+/** Split a classFeatureDescriptions key into its parts, or null if it isn't a class feature */
+export function parseFeatureKey(key) {
+  const match = FEATURE_KEY.exec(key);
+  if (!match || !classData[match[3]]) return null;
+  const [, name, subclass = null, className, level] = match;
+  return { key, name, subclass, className, level: Number(level) };
+}
+
+const allFeatures = Object.keys(classFeatureDescriptions)
+  .map(parseFeatureKey)
+  .filter(Boolean);
+
+// Affixes that name the kind of subclass rather than the subclass itself
+const SUBCLASS_PREFIX = /^(?:(?:path|circle|oath|college|school|way|order|domain|tradition|conclave) of )?(?:the )?/;
+const SUBCLASS_SUFFIX = / (?:domain|college|circle|tradition|archetype|patron|oath)$/;
+
+// "Path of the Zealot" → "zealot", "Life Domain" → "life"
+const subclassKey = (name) =>
+  simplify(name).replace(/\s+/g, " ").replace(SUBCLASS_PREFIX, "").replace(SUBCLASS_SUFFIX, "");
+
+// Exact match once the affixes are gone, so "Twilight" never picks up "Light"
+const subclassMatches = (featureSubclass, subClass) => {
+  const a = subclassKey(featureSubclass);
+  return Boolean(a) && a === subclassKey(subClass);
+};
+
+/** Every feature for a class, including the character's subclass (if any) */
+export function getClassFeatures(className, subClass) {
+  const cls = getClassData(className);
+  if (!cls) return [];
+  return allFeatures.filter(
+    (f) =>
+      f.className === cls.name &&
+      (!f.subclass || subclassMatches(f.subclass, subClass))
+  );
+}
+
+/** Features a class gains on reaching exactly `level` */
+export const getFeaturesGainedAt = (className, subClass, level) =>
+  getClassFeatures(className, subClass).filter((f) => f.level === level);
+
+/** Features in `owned` that require more than `level` in this class */
+export const getFeaturesAboveLevel = (className, subClass, level, owned) =>
+  getClassFeatures(className, subClass).filter(
+    (f) => f.level > level && owned.includes(f.key)
+  );
+
+/** Subclass names for a class, as used in classFeatureDescriptions */
+export function getSubclassNames(className) {
+  const cls = getClassData(className);
+  if (!cls) return [];
+  const names = allFeatures
+    .filter((f) => f.className === cls.name && f.subclass)
+    .map((f) => f.subclass);
+  return [...new Set(names)].sort();
+}
+
+/** Does `subClass` belong to `className` in the local data? */
+export const isKnownSubclass = (className, subClass) =>
+  getSubclassNames(className).some((n) => subclassMatches(n, subClass));
+
+/** The subclass to keep after switching to `className` — cleared if it belongs elsewhere */
+export const subclassForClass = (className, subClass) =>
+  getSubclassNames(className).length === 0 || isKnownSubclass(className, subClass)
+    ? subClass
+    : "";
+
+// ─────────────────────────────────────────────
+// Armor and weapon proficiencies — the primary class grants its full set,
+// each further class only its (smaller) multiclassing set
+// ─────────────────────────────────────────────
+
+/** Default { armor, weapons } proficiencies for a class list */
+export function getDefaultEquipmentProficiencies(classLevels) {
+  const armor = new Set();
+  const weapons = new Set();
+  classLevels.forEach((entry, i) => {
+    const cls = getClassData(entry.class);
+    if (!cls) return;
+    const granted =
+      i === 0
+        ? { armor: cls.armorProficiencies, weapons: cls.weaponProficiencies }
+        : cls.multiclassProficiencies;
+    granted.armor.forEach((a) => armor.add(a));
+    granted.weapons.forEach((w) => weapons.add(w));
+  });
+  return { armor: [...armor], weapons: [...weapons] };
+}
+
+// ─────────────────────────────────────────────
+// Class resources — Rage, Ki, Channel Divinity and other limited uses.
+// Saved per character as { [id]: { used, recharge } }; `recharge` is only
+// set when the user overrides the default.
+// ─────────────────────────────────────────────
+
+export const RECHARGE_LABELS = { short: "Short rest", long: "Long rest", dawn: "Dawn" };
+
+// Which recharge types each rest (or dawn) restores
+const RESTORED_BY = { short: ["short"], long: ["short", "long"], dawn: ["dawn"] };
+
+// Count for the highest level reached in a { classLevel: count } table
+const usesAtLevel = (table, level) =>
+  Object.entries(table).reduce((count, [at, n]) => (level >= Number(at) ? n : count), 0);
+
+/**
+ * Resources the character's classes grant at their current levels:
+ * [{ id, name, className, feature, max, recharge }]; max may be Infinity.
+ */
+export function getClassResources(classLevels, stats) {
+  return classLevels.flatMap(({ class: className, level }) => {
+    const cls = getClassData(className);
+    if (!cls) return [];
+    return classResourceData
+      .filter((r) => r.class === cls.name && level >= r.level)
+      .map((r) => ({
+        id: `${cls.name}: ${r.name}`,
+        name: r.name,
+        className: cls.name,
+        feature: r.feature || null,
+        max: Math.max(
+          1,
+          (r.uses ? usesAtLevel(r.uses, level) : 0) +
+            (r.perLevel || 0) * level +
+            (r.ability ? getModifier(stats[r.ability]) : 0)
+        ),
+        recharge: r.shortRestAt && level >= r.shortRestAt ? "short" : r.recharge,
+      }));
+  });
+}
+
+/** Saved state with every resource that recharges on `rest` ("short" | "long" | "dawn") restored */
+export function rechargeResources(saved, resources, rest) {
+  const next = { ...saved };
+  resources.forEach((r) => {
+    const entry = saved[r.id];
+    if (entry?.used && RESTORED_BY[rest].includes(entry.recharge || r.recharge)) {
+      next[r.id] = { ...entry, used: 0 };
+    }
+  });
+  return next;
+}
@@ -0,0 +1,118 @@
+// src/utils/dice.jsx
+// Dice rolling helpers and a roll notation parser.
+
+import { formatModifier } from "./dndRules";
+
+/** Roll a single die with `sides` faces */
+export const rollDie = (sides) => Math.floor(Math.random() * sides) + 1;
+
+/** 4d6, drop the lowest — returns { rolls, dropped, total } */
+export function roll4d6DropLowest() {
+  const rolls = Array.from({ length: 4 }, () => rollDie(6));
+  const dropped = rolls.indexOf(Math.min(...rolls));
+  const total = rolls.reduce((sum, r, i) => (i === dropped ? sum : sum + r), 0);
+  return { rolls, dropped, total };
+}
+
+// ─────────────────────────────────────────────
+// Roll notation: "2d6+3", "1d20 adv", "4d6kh3", "d20-1 dis"
+// ─────────────────────────────────────────────
+
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+const DICE_TERM = /^(\d*)d(\d+)(?:(kh|kl)(\d+))?$/;
+const ROLL_MODE = /\s+(adv|advantage|dis|disadvantage)$/;
+
+/**
+ * Parse roll notation into { mode, terms }. Each term is either
+ * { sign, count, sides, keep } (keep = { highest, n } or null) or { sign, value }.
+ * `adv`/`dis` turn each single d20 into 2d20 keeping the higher/lower die.
+ * Throws an Error with a readable message if the notation is invalid.
+ */
+export function parseDiceNotation(notation) {
+  let text = String(notation ?? "").trim().toLowerCase();
+  let mode = null;
+  const modeMatch = text.match(ROLL_MODE);
+  if (modeMatch) {
+    mode = modeMatch[1].startsWith("adv") ? "advantage" : "disadvantage";
+    text = text.slice(0, modeMatch.index);
+  }
+
+  const compact = text.replace(/\s+/g, "");
+  if (!compact) throw new Error("Enter a roll like 2d6+3 or 1d20 adv");
+  const parts = compact.match(/[+-]?[^+-]+/g) || [];
+  if (parts.join("") !== compact) throw new Error(`Can't read "${notation}"`);
+
+  const terms = parts.map((part) => {
+    const sign = part.startsWith("-") ? -1 : 1;
+    const body = part.replace(/^[+-]/, "");
+    if (/^\d+$/.test(body)) return { sign, value: Number(body) };
+
+    const dice = body.match(DICE_TERM);
+    if (!dice) throw new Error(`Can't read "${part}"`);
+    const count = dice[1] ? Number(dice[1]) : 1;
+    const sides = Number(dice[2]);
+    if (count < 1 || count > MAX_DICE) throw new Error(`Roll between 1 and ${MAX_DICE} dice`);
+    if (sides < 2 || sides > MAX_SIDES) throw new Error(`Dice need 2 to ${MAX_SIDES} sides`);
+
+    let keep = dice[3] ? { highest: dice[3] === "kh", n: Number(dice[4]) } : null;
+    if (keep && (keep.n < 1 || keep.n > count)) {
+      throw new Error(`Can't keep ${keep.n} of ${count} dice`);
+    }
+    if (mode && count === 1 && sides === 20 && !keep) {
+      return { sign, count: 2, sides, keep: { highest: mode === "advantage", n: 1 } };
+    }
+    return { sign, count, sides, keep };
+  });
+
+  if (mode && !terms.some((t) => t.sides === 20 && t.count === 2 && t.keep?.n === 1)) {
+    throw new Error("Advantage and disadvantage need a single d20");
+  }
+  return { mode, terms };
+}
+
+/** Indexes of the dice kept by a "keep highest/lowest n" rule */
+function keptIndexes(rolls, keep) {
+  const order = rolls
+    .map((r, i) => ({ r, i }))
+    .sort((a, b) => (keep.highest ? b.r - a.r : a.r - b.r));
+  return new Set(order.slice(0, keep.n).map(({ i }) => i));
+}
+
+/**
+ * Roll notation and return { notation, mode, total, terms, natural }.
+ * Dice terms gain `rolls` and `kept` (one boolean per die); `natural` is the
+ * kept d20 face when the roll is a single d20 check, otherwise null.
+ */
+export function rollDice(notation) {
+  const { mode, terms } = parseDiceNotation(notation);
+  const rolled = terms.map((term) => {
+    if (term.value !== undefined) return term;
+    const rolls = Array.from({ length: term.count }, () => rollDie(term.sides));
+    const kept = term.keep ? keptIndexes(rolls, term.keep) : null;
+    return { ...term, rolls, kept: rolls.map((_, i) => !kept || kept.has(i)) };
+  });
+
+  const total = rolled.reduce((sum, term) => {
+    if (term.value !== undefined) return sum + term.sign * term.value;
+    const kept = term.rolls.filter((_, i) => term.kept[i]);
+    return sum + term.sign * kept.reduce((a, b) => a + b, 0);
+  }, 0);
+
+  const d20s = rolled.filter((t) => t.sides === 20);
+  const d20 = d20s.length === 1 ? d20s[0] : null;
+  const keptD20 = d20?.rolls.filter((_, i) => d20.kept[i]);
+  const natural = keptD20?.length === 1 ? keptD20[0] : null;
+
+  return { notation: String(notation).trim(), mode, total, terms: rolled, natural };
+}
+
+/** The dice part of a damage string, e.g. "1d8 slashing" → "1d8" (null if none) */
+export function getDamageDice(damage) {
+  const match = String(damage ?? "").match(/\d*d\d+(?:\s*[+-]\s*\d+)?/i);
+  return match ? match[0].replace(/\s+/g, "") : null;
+}
+
+/** Notation for a d20 check with a flat bonus, e.g. 3 → "1d20+3" (or "1d20+3 dis") */
+export const getCheckNotation = (bonus, disadvantage = false) =>
+  `1d20${formatModifier(bonus)}${disadvantage ? " dis" : ""}`;
@@ -0,0 +1,38 @@
+// src/utils/dndRules.jsx
+// Core 5e math shared by the character card panels.
+
+// The six abilities, in character-sheet order (keys match `stats`)
+export const ABILITIES = [
+  "strength",
+  "dexterity",
+  "constitution",
+  "intelligence",
+  "wisdom",
+  "charisma",
+];
+
+export const ABILITY_ABBR = {
+  strength: "STR",
+  dexterity: "DEX",
+  constitution: "CON",
+  intelligence: "INT",
+  wisdom: "WIS",
+  charisma: "CHA",
+};
+
+// Standard array for ability score generation
+export const STANDARD_ARRAY = [15, 14, 13, 12, 10, 8];
+
+export const MAX_LEVEL = 20;
+
+/** Keep a character level within the valid 1–20 range */
+export const clampLevel = (level) =>
+  Math.min(Math.max(Math.round(Number(level) || 1), 1), MAX_LEVEL);
+
+export const getModifier = (val) => Math.floor(((val ?? 10) - 10) / 2);
+
+/** +2 / -1 style display for a bonus */
+export const formatModifier = (mod) => (mod >= 0 ? `+${mod}` : `${mod}`);
+
+/** Proficiency bonus by character level: +2 at 1–4 up to +6 at 17–20 */
+export const getProficiencyBonus = (level) => Math.ceil(clampLevel(level) / 4) + 1;
@@ -0,0 +1,103 @@
+// src/utils/equipmentRules.jsx
+// Armor and weapon proficiency checks and the 5e penalties for using
+// equipment a character isn't trained with.
+
+import { getModifier } from "./dndRules";
+
+export const ARMOR_TYPES = ["light", "medium", "heavy", "shields"];
+export const WEAPON_CATEGORIES = ["simple", "martial"];
+
+// Armor speed penalty when STR is below the armor's requirement
+export const STR_MINIMUM_SPEED_PENALTY = 10;
+
+const lower = (s) => String(s || "").toLowerCase();
+
+/** True for shield data (local or API) */
+export const isShield = (data) =>
+  data?.kind === "Shield" || lower(data?.armor_category) === "shield";
+
+/** "light" | "medium" | "heavy" for body armor data, otherwise null */
+export function getArmorType(data) {
+  if (!data || isShield(data)) return null;
+  const category = lower(data.armor_category || data.category);
+  return ["light", "medium", "heavy"].find((t) => category.startsWith(t)) || null;
+}
+
+/**
+ * { base, dexCap } for local or API body armor, or null.
+ * dexCap: null = full DEX modifier, 0 = no DEX, otherwise the cap.
+ */
+export function getArmorAC(data) {
+  if (!data || isShield(data)) return null;
+  if (data.baseAC) return { base: data.baseAC, dexCap: data.dexCap ?? null };
+  if (data.armor_class?.base) {
+    const { base, dex_bonus, max_bonus } = data.armor_class;
+    return { base, dexCap: dex_bonus ? (max_bonus ?? null) : 0 };
+  }
+  return null;
+}
+
+/** AC from body armor (or 10 + DEX unarmored), before shields */
+export function getBodyAC(armor, dexterity) {
+  const dexMod = getModifier(dexterity);
+  const ac = getArmorAC(armor);
+  if (!ac) return 10 + dexMod;
+  if (ac.dexCap === 0) return ac.base;
+  return ac.base + (ac.dexCap === null ? dexMod : Math.min(dexMod, ac.dexCap));
+}
+
+/** STR score the armor needs to avoid the speed penalty (0 if none) */
+export const getStrMinimum = (data) => data?.str_minimum || data?.strMinimum || 0;
+
+/** "simple" | "martial" from local ("Simple Melee") or API ("Simple") weapon data */
+export function getWeaponCategory(data) {
+  const category = lower(data?.weapon_category || data?.category);
+  return WEAPON_CATEGORIES.find((c) => category.startsWith(c)) || null;
+}
+
+/** Proficient with a weapon by category ("martial") or by name ("Rapier") */
+export function isWeaponProficient(weapon, weapons) {
+  const names = weapons.map(lower);
+  return names.includes(weapon.category) || names.includes(lower(weapon.name));
+}
+
+/**
+ * Problems with the equipped armor, shield and weapons.
+ * Returns { warnings, disadvantage, speedPenalty } — `disadvantage` is true when
+ * untrained armor or shield imposes disadvantage on STR and DEX rolls.
+ */
+export function getEquipmentProblems({ armor, hands, stats, proficiencies, ignoreStrMinimum }) {
+  const warnings = [];
+  let disadvantage = false;
+  let speedPenalty = 0;
+
+  const armorType = getArmorType(armor);
+  if (armorType && !proficiencies.armor.includes(armorType)) {
+    disadvantage = true;
+    warnings.push(
+      `Not proficient with ${armorType} armor: disadvantage on STR/DEX checks, saves and attacks, and no spellcasting`
+    );
+  }
+
+  const strMinimum = getStrMinimum(armor);
+  if (armorType && strMinimum > (stats.strength || 0) && !ignoreStrMinimum) {
+    speedPenalty = STR_MINIMUM_SPEED_PENALTY;
+    warnings.push(
+      `${armor.name} needs STR ${strMinimum}: speed reduced by ${STR_MINIMUM_SPEED_PENALTY} ft.`
+    );
+  }
+
+  hands.forEach((data) => {
+    if (isShield(data) && !proficiencies.armor.includes("shields")) {
+      disadvantage = true;
+      warnings.push("Not proficient with shields: disadvantage on STR/DEX checks, saves and attacks");
+    } else if (data && !isShield(data) && getWeaponCategory(data)) {
+      const weapon = { name: data.name, category: getWeaponCategory(data) };
+      if (!isWeaponProficient(weapon, proficiencies.weapons)) {
+        warnings.push(`Not proficient with ${data.name}: no proficiency bonus to hit`);
+      }
+    }
+  });
+
+  return { warnings: [...new Set(warnings)], disadvantage, speedPenalty };
+}
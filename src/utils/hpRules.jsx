@@ -0,0 +1,72 @@
+// src/utils/hpRules.jsx
+// Hit point rules: damage (temporary HP first), healing, and death saving throws.
+
+export const DEFAULT_DEATH_SAVES = { successes: 0, failures: 0 };
+export const DEATH_SAVES_NEEDED = 3;
+
+const addFailures = (saves, n) => ({
+  ...saves,
+  failures: Math.min(DEATH_SAVES_NEEDED, saves.failures + n),
+});
+
+/** Keep current HP between 0 and max HP */
+export const clampHP = (hp, maxHP) => Math.min(Math.max(0, hp), Math.max(0, maxHP));
+
+/**
+ * Apply `amount` damage. Temporary HP absorbs it first. Damage taken at 0 HP
+ * is a failed death save (two on a critical hit), and damage left over after
+ * dropping to 0 that equals max HP kills outright.
+ * Returns { currentHP, tempHP, deathSaves }.
+ */
+export function applyDamage({ currentHP, tempHP = 0, maxHP }, deathSaves, amount, critical = false) {
+  const absorbed = Math.min(tempHP, amount);
+  const remaining = amount - absorbed;
+  const nextTemp = tempHP - absorbed;
+
+  if (remaining <= 0) return { currentHP, tempHP: nextTemp, deathSaves };
+
+  if (currentHP <= 0) {
+    const failures = remaining >= maxHP ? DEATH_SAVES_NEEDED : critical ? 2 : 1;
+    return { currentHP: 0, tempHP: nextTemp, deathSaves: addFailures(deathSaves, failures) };
+  }
+
+  const overflow = remaining - currentHP;
+  return {
+    currentHP: Math.max(0, currentHP - remaining),
+    tempHP: nextTemp,
+    // A conscious character starts any new round of death saves from scratch
+    deathSaves: overflow >= maxHP ? addFailures(DEFAULT_DEATH_SAVES, DEATH_SAVES_NEEDED) : DEFAULT_DEATH_SAVES,
+  };
+}
+
+/** Heal `amount` up to max HP; any healing at 0 HP clears the death saves */
+export function applyHealing({ currentHP, maxHP }, deathSaves, amount) {
+  if (amount <= 0) return { currentHP, deathSaves };
+  return { currentHP: clampHP(currentHP + amount, maxHP), deathSaves: DEFAULT_DEATH_SAVES };
+}
+
+/** Temporary HP doesn't stack: keep whichever is higher */
+export const gainTempHP = (tempHP, amount) => Math.max(tempHP || 0, amount);
+
+/**
+ * Record a d20 death saving throw. A 20 brings the character back with 1 HP,
+ * a 1 counts as two failures, 10 or higher is a success.
+ * Returns { deathSaves, regainedHP }.
+ */
+export function recordDeathSave(deathSaves, roll) {
+  if (roll === 20) return { deathSaves: DEFAULT_DEATH_SAVES, regainedHP: 1 };
+  if (roll === 1) return { deathSaves: addFailures(deathSaves, 2), regainedHP: 0 };
+  if (roll >= 10) {
+    return {
+      deathSaves: {
+        ...deathSaves,
+        successes: Math.min(DEATH_SAVES_NEEDED, deathSaves.successes + 1),
+      },
+      regainedHP: 0,
+    };
+  }
+  return { deathSaves: addFailures(deathSaves, 1), regainedHP: 0 };
+}
+
+export const isStable = (deathSaves) => deathSaves.successes >= DEATH_SAVES_NEEDED;
+export const isDead = (deathSaves) => deathSaves.failures >= DEATH_SAVES_NEEDED;
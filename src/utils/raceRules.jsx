@@ -0,0 +1,37 @@
+// src/utils/raceRules.jsx
+// Lookups against the local race dataset.
+
+import { raceData } from "../data/raceData";
+
+/** Find a race by name or alias (case-insensitive); returns the entry or null */
+export function getRaceData(name) {
+  if (!name) return null;
+  const wanted = String(name).trim().toLowerCase();
+  return (
+    Object.values(raceData).find(
+      (r) =>
+        r.name.toLowerCase() === wanted ||
+        r.aliases?.some((a) => a.toLowerCase() === wanted)
+    ) || null
+  );
+}
+
+/**
+ * Ability score increases for a race, including any player-chosen ones
+ * (e.g. Half-Elf's two +1s). Returns { ability: bonus }.
+ */
+export function getRacialBonuses(raceName, choices = []) {
+  const race = getRaceData(raceName);
+  if (!race) return {};
+  const bonuses = { ...race.abilityBonuses };
+  if (race.abilityChoices) {
+    const { count, amount, exclude = [] } = race.abilityChoices;
+    choices
+      .filter((a) => !exclude.includes(a))
+      .slice(0, count)
+      .forEach((a) => {
+        bonuses[a] = (bonuses[a] || 0) + amount;
+      });
+  }
+  return bonuses;
+}
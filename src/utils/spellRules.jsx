@@ -0,0 +1,156 @@
+// src/utils/spellRules.jsx
+// Spell slots from class levels (single-class and multiclass caster level,
+// Warlock pact magic), structured spell data, and prepared spell limits.
+
+import { FULL_CASTER_SLOTS, PACT_MAGIC_SLOTS } from "../data/spellSlotData";
+import { spellDescriptions } from "../data/spellDescriptions";
+import { getClassData } from "./classRules";
+import { clampLevel, getModifier, getProficiencyBonus } from "./dndRules";
+
+/** "full" | "half" | "artificer" | "third" | "pact" | null for one class entry */
+export function getCasterType({ class: className, subClass }) {
+  const cls = getClassData(className);
+  if (!cls) return null;
+  if (cls.casterType) return cls.casterType;
+  const bySubclass = Object.entries(cls.subclassCasterType || {}).find(
+    ([name]) => name.toLowerCase() === String(subClass || "").trim().toLowerCase()
+  );
+  return bySubclass ? bySubclass[1] : null;
+}
+
+// Caster level a class contributes on its own (single-class rules)
+const SINGLE_CLASS_LEVEL = {
+  full: (level) => level,
+  half: (level) => (level >= 2 ? Math.ceil(level / 2) : 0),
+  artificer: (level) => Math.ceil(level / 2),
+  third: (level) => (level >= 3 ? Math.ceil(level / 3) : 0),
+};
+
+// Caster level a class contributes when multiclassing
+const MULTICLASS_LEVEL = {
+  full: (level) => level,
+  half: (level) => Math.floor(level / 2),
+  artificer: (level) => Math.ceil(level / 2),
+  third: (level) => Math.floor(level / 3),
+};
+
+// Half and third casters only gain Spellcasting once their class has slots
+const hasSpellcasting = (entry) => {
+  const type = getCasterType(entry);
+  return type === "pact" || Boolean(type && SINGLE_CLASS_LEVEL[type](entry.level) > 0);
+};
+
+/** Effective caster level for the shared spell slot table (pact magic excluded) */
+export function getCasterLevel(classLevels) {
+  const casters = classLevels
+    .map((entry) => ({ type: getCasterType(entry), level: entry.level }))
+    .filter(({ type }) => type && type !== "pact");
+  if (casters.length === 0) return 0;
+  if (casters.length === 1) return SINGLE_CLASS_LEVEL[casters[0].type](casters[0].level);
+  return casters.reduce((sum, { type, level }) => sum + MULTICLASS_LEVEL[type](level), 0);
+}
+
+/** Maximum slots per spell level: index 0 = 1st level. Empty for non-casters. */
+export function getSpellSlots(classLevels) {
+  const casterLevel = getCasterLevel(classLevels);
+  return casterLevel > 0 ? FULL_CASTER_SLOTS[clampLevel(casterLevel) - 1] : [];
+}
+
+/** Warlock pact magic { slots, level }, or null without Warlock levels */
+export function getPactMagic(classLevels) {
+  const warlock = classLevels.find((entry) => getCasterType(entry) === "pact");
+  return warlock ? PACT_MAGIC_SLOTS[clampLevel(warlock.level) - 1] : null;
+}
+
+// ─────────────────────────────────────────────
+// Structured spells — parsed from the one-line summaries in spellDescriptions:
+// "2nd-level abjuration (ritual). 1 action, 30 ft, Conc. 1 hour. Description…"
+// ─────────────────────────────────────────────
+
+const SPELL_HEADER =
+  /^(?:(\d)(?:st|nd|rd|th)-level ([a-z]+)|([A-Za-z]+) cantrip)( \(ritual\))?\. ((?:Conc\. |[^.])+?)\.(?: |$)/;
+
+/**
+ * Parse a spell summary into { name, level (0 = cantrip), school, ritual,
+ * castingTime, range, duration, concentration, description }.
+ * Returns null if the text doesn't follow the summary format.
+ */
+export function parseSpell(name, text) {
+  const match = String(text || "").match(SPELL_HEADER);
+  if (!match) return null;
+  const [header, level, school, cantripSchool, ritual, stats] = match;
+  const [castingTime, range, duration = "Instant"] = stats.split(", ");
+  const concentration = duration.startsWith("Conc. ");
+  const schoolName = school || cantripSchool;
+  return {
+    name,
+    level: level ? Number(level) : 0,
+    school: schoolName.charAt(0).toUpperCase() + schoolName.slice(1).toLowerCase(),
+    ritual: Boolean(ritual),
+    castingTime,
+    range,
+    duration: concentration ? duration.slice("Conc. ".length) : duration,
+    concentration,
+    description: text.slice(header.length),
+  };
+}
+
+// Every local spell, parsed once
+export const spellList = Object.entries(spellDescriptions)
+  .map(([name, text]) => parseSpell(name, text))
+  .filter(Boolean);
+
+export const SPELL_SCHOOLS = [...new Set(spellList.map((s) => s.school))].sort();
+
+/** Structured data for a local spell by name (case-insensitive), or null */
+export function getSpellData(name) {
+  const wanted = String(name || "").trim().toLowerCase();
+  return spellList.find((s) => s.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * How many leveled spells the character can prepare, or null if none of its
+ * classes prepare spells. Prepared casters get ability modifier + class level
+ * (half level for half casters), at least 1; multiclass limits are added up.
+ */
+export function getPreparedLimit(classLevels, stats) {
+  const limits = classLevels
+    .map((entry) => {
+      const cls = getClassData(entry.class);
+      const type = getCasterType(entry);
+      if (!cls || cls.preparation !== "prepared" || !hasSpellcasting(entry)) return null;
+      const level = type === "full" ? entry.level : Math.floor(entry.level / 2);
+      return Math.max(1, getModifier(stats[cls.spellcastingAbility]) + level);
+    })
+    .filter((n) => n !== null);
+  return limits.length > 0 ? limits.reduce((a, b) => a + b, 0) : null;
+}
+
+// ─────────────────────────────────────────────
+// Spellcasting stats — one entry per spellcasting class
+// ─────────────────────────────────────────────
+
+/**
+ * [{ className, ability, saveDC, attackBonus }] for each of the character's
+ * spellcasting classes (subclass casters included). Spell save DC is
+ * 8 + proficiency + ability modifier; the attack bonus is proficiency + modifier.
+ */
+export function getSpellcastingStats(classLevels, stats) {
+  const prof = getProficiencyBonus(stats.level);
+  return classLevels
+    .filter(hasSpellcasting)
+    .map((entry) => {
+      const cls = getClassData(entry.class);
+      const ability = cls.spellcastingAbility;
+      const mod = getModifier(stats[ability]);
+      return {
+        className: cls.name,
+        ability,
+        saveDC: 8 + prof + mod,
+        attackBonus: prof + mod,
+      };
+    });
+}
+
+/** CON save DC to keep concentrating after taking `damage` */
+export const getConcentrationDC = (damage) => Math.max(10, Math.floor(damage / 2));